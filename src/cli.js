@@ -12,7 +12,13 @@
 import { Command } from 'commander';
 import chalk from 'chalk';
 import { MiniGeminiClient } from './core/client.js';
-import { readFileSync } from 'fs';
+import { SessionService } from './services/index.js';
+import { registerSessionsCommand } from './commands/sessions.js';
+import { registerCommitCommand } from './commands/commit.js';
+import { registerReviewCommand } from './commands/review.js';
+import { registerRestoreCommand } from './commands/restore.js';
+import { registerMemoryCommand } from './commands/memory.js';
+import { readFileSync, existsSync } from 'fs';
 import { join } from 'path';
 
 const program = new Command();
@@ -27,13 +33,45 @@ program
   .description('Start interactive chat session')
   .option('-d, --dir <path>', 'Working directory', process.cwd())
   .option('--mcp-server <command>', 'MCP server command to start')
-  .action(async (options) => {
+  .option('--no-stream', 'Wait for the full response instead of streaming tokens')
+  .option('--max-steps <n>', 'Maximum tool-call steps per message', (value) => parseInt(value, 10))
+  .option('-r, --resume <id>', 'Resume a saved session by id')
+  .option('-c, --continue', 'Continue the most recent session in the working directory')
+  .action(async (options, command) => {
     console.log(chalk.blue('🚀 Starting Mini Gemini CLI...'));
-    console.log(chalk.gray(`Working directory: ${options.dir}`));
+
+    // 解析要恢复的会话
+    let workingDir = options.dir;
+    let resumeSessionId = options.resume;
+    const sessionService = new SessionService();
+
+    if (resumeSessionId && command.getOptionValueSource('dir') === 'default') {
+      // 未显式指定目录时，回到会话原来的工作目录
+      try {
+        const session = sessionService.loadSession(resumeSessionId);
+        if (session.context?.workingDir && existsSync(session.context.workingDir)) {
+          workingDir = session.context.workingDir;
+        }
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️ ${error.message}`));
+      }
+    } else if (options.continue && !resumeSessionId) {
+      const latest = sessionService.findLatestSession({ workingDir });
+      if (latest) {
+        resumeSessionId = latest.id;
+      } else {
+        console.log(chalk.yellow('⚠️ No previous session in this directory, starting a new one'));
+      }
+    }
+
+    console.log(chalk.gray(`Working directory: ${workingDir}`));
     
     const client = new MiniGeminiClient({
-      workingDir: options.dir,
-      apiKey: process.env.GEMINI_API_KEY
+      workingDir,
+      resumeSessionId,
+      apiKey: process.env.GEMINI_API_KEY,
+      streaming: options.stream,
+      maxSteps: options.maxSteps
     });
 
     try {
@@ -46,6 +84,12 @@ program
 
 
 
+registerSessionsCommand(program);
+registerCommitCommand(program);
+registerReviewCommand(program);
+registerRestoreCommand(program);
+registerMemoryCommand(program);
+
 program
   .command('demo')
   .description('Run a quick demo')
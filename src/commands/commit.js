@@ -0,0 +1,231 @@
+/**
+ * COMMIT COMMAND: 根据暂存区改动生成提交信息
+ *
+ * mini-gemini commit [--amend] [--dry-run]
+ * 读取暂存区 diff 和最近的提交标题，让模型起草提交信息，
+ * 用户可以接受、在 $EDITOR 中编辑或重新生成，然后执行 git commit
+ */
+
+import chalk from 'chalk';
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { spawnSync } from 'child_process';
+import { GitService } from '../services/index.js';
+import { createModelClient } from './model-client.js';
+
+// 发送给模型的 diff 上限，超出部分只保留文件统计
+const MAX_DIFF_BYTES = 24000;
+// git 的空树对象，用于对根提交执行 --amend 时比较
+const EMPTY_TREE = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+
+/**
+ * 注册 commit 命令
+ * @param {import('commander').Command} program
+ */
+export function registerCommitCommand(program) {
+  program
+    .command('commit')
+    .description('Draft a commit message for the staged changes and commit them')
+    .option('--amend', 'Rewrite the previous commit, including any staged changes')
+    .option('--dry-run', 'Print the drafted message without committing')
+    .action(async (options) => {
+      try {
+        await runCommit(options);
+      } catch (error) {
+        console.error(chalk.red('❌ Error:'), error.message);
+        process.exit(1);
+      }
+    });
+}
+
+async function runCommit(options) {
+  // 在子目录中运行时也以仓库根目录为准（diff 中的路径相对于根目录）
+  const repoRoot = GitService.findRepoRoot(process.cwd());
+  if (!repoRoot) {
+    throw new Error('Not a git repository');
+  }
+  const git = new GitService(repoRoot);
+  if (options.amend && !git.hasCommit('HEAD')) {
+    throw new Error('Nothing to amend: the repository has no commits yet');
+  }
+  if (!options.amend && !git.hasStagedChanges()) {
+    console.log(chalk.yellow('⚠️ Nothing staged. Stage changes with `git add` first.'));
+    process.exitCode = 1;
+    return;
+  }
+
+  const context = collectCommitContext(git, options);
+  const client = await createModelClient();
+
+  const messages = buildCommitPrompt(context);
+  let message = await draftMessage(client, messages);
+
+  if (options.dryRun) {
+    printMessage(message);
+    return;
+  }
+
+  while (true) {
+    printMessage(message);
+    const answer = (await ask(chalk.yellow('Commit with this message? [y]es / [e]dit / [r]egenerate / [n]o: ')))
+      .trim()
+      .toLowerCase();
+
+    if (answer === 'y' || answer === 'yes') {
+      break;
+    }
+    if (answer === 'e' || answer === 'edit') {
+      message = editMessage(message);
+      if (!message) {
+        console.log(chalk.yellow('⚠️ Empty commit message, aborting.'));
+        process.exitCode = 1;
+        return;
+      }
+      break;
+    }
+    if (answer === 'r' || answer === 'regenerate') {
+      messages.push(
+        { role: 'assistant', content: message },
+        { role: 'user', content: 'Write a different commit message for the same changes.' }
+      );
+      message = await draftMessage(client, messages);
+      continue;
+    }
+    console.log(chalk.gray('Commit cancelled.'));
+    return;
+  }
+
+  git.commit(message, { amend: options.amend });
+  const lastCommit = git.getLastCommit();
+  console.log(chalk.green(`✅ ${options.amend ? 'Amended' : 'Committed'} ${lastCommit?.hash || ''}`.trim()));
+}
+
+/**
+ * 收集暂存区 diff、文件统计和最近的提交标题
+ */
+function collectCommitContext(git, options) {
+  let base;
+  let previousMessage = null;
+
+  if (options.amend) {
+    // --amend 时新的提交包含上一次提交的改动和暂存区改动
+    base = git.hasCommit('HEAD~1') ? 'HEAD~1' : EMPTY_TREE;
+    previousMessage = git.runGit(['log', '-1', '--pretty=format:%B']).output.trim();
+  }
+
+  const stat = git.getDiff({ staged: true, ref: base, stat: true }).output.trim();
+  const diff = git.getDiff({ staged: true, ref: base, maxBytes: MAX_DIFF_BYTES });
+  if (!stat) {
+    throw new Error('No changes to describe');
+  }
+
+  return {
+    stat,
+    diff: diff.output,
+    diffTruncated: diff.truncated,
+    recentSubjects: git.getRecentCommitSubjects(10),
+    previousMessage
+  };
+}
+
+function buildCommitPrompt({ stat, diff, diffTruncated, recentSubjects, previousMessage }) {
+  const sections = [
+    'Write a git commit message for the changes below.',
+    [
+      'Rules:',
+      '- Use Conventional Commits: "type(scope): summary", where type is one of feat, fix, docs, style, refactor, perf, test, build, ci, chore. The scope is optional.',
+      '- If the recent commits follow a different convention, follow theirs instead (prefixes, capitalization, language).',
+      '- Write the summary line in the imperative mood, at most 72 characters, without a trailing period.',
+      '- Add a body after a blank line only when the change needs explaining: what changed and why, wrapped at 72 columns.',
+      '- Reply with the commit message only, without code fences or commentary.'
+    ].join('\n')
+  ];
+
+  if (recentSubjects.length > 0) {
+    sections.push(`Recent commits:\n${recentSubjects.map(subject => `- ${subject}`).join('\n')}`);
+  }
+  if (previousMessage) {
+    sections.push(`The commit is being amended. Its current message:\n${previousMessage}`);
+  }
+  sections.push(`Changed files:\n${stat}`);
+  sections.push(`Diff${diffTruncated ? ' (truncated)' : ''}:\n${diff}`);
+
+  return [
+    { role: 'system', content: 'You write clear, accurate git commit messages.' },
+    { role: 'user', content: sections.join('\n\n') }
+  ];
+}
+
+async function draftMessage(client, messages) {
+  console.log(chalk.gray('✍️  Drafting commit message...'));
+  const response = await client.sendMessage(messages, []);
+  const message = cleanMessage(response.text || '');
+  if (!message) {
+    throw new Error('The model returned an empty commit message');
+  }
+  return message;
+}
+
+/**
+ * 去掉模型可能添加的代码块标记和多余空行
+ */
+function cleanMessage(text) {
+  return text
+    .trim()
+    .replace(/^```[\w-]*\n/, '')
+    .replace(/\n```$/, '')
+    .split('\n')
+    .map(line => line.trimEnd())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function printMessage(message) {
+  console.log();
+  console.log(chalk.cyan('─'.repeat(60)));
+  console.log(message);
+  console.log(chalk.cyan('─'.repeat(60)));
+}
+
+/**
+ * 在 $VISUAL / $EDITOR 中编辑提交信息，以 # 开头的行会被删除
+ */
+function editMessage(message) {
+  const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+  const dir = mkdtempSync(join(tmpdir(), 'mini-gemini-commit-'));
+  const file = join(dir, 'COMMIT_EDITMSG');
+
+  try {
+    writeFileSync(file, `${message}\n\n# Edit the commit message. Lines starting with '#' are ignored;\n# an empty message aborts the commit.\n`);
+    // 通过 shell 执行，支持 "code --wait" 这类带参数的编辑器
+    const result = spawnSync('sh', ['-c', `${editor} "$1"`, 'sh', file], { stdio: 'inherit' });
+    if (result.status !== 0) {
+      throw new Error(`Editor exited with code ${result.status}`);
+    }
+    return cleanMessage(
+      readFileSync(file, 'utf8')
+        .split('\n')
+        .filter(line => !line.startsWith('#'))
+        .join('\n')
+    );
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function ask(question) {
+  const readline = await import('readline');
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
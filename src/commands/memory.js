@@ -0,0 +1,156 @@
+/**
+ * MEMORY COMMAND: 上下文与记忆命令组
+ *
+ * mini-gemini memory show                显示从 GEMINI.md 文件合并得到的上下文（即加入系统提示词的内容）
+ * mini-gemini memory list|search|add|edit|forget    管理保存的长期记忆（global / project 作用域）
+ */
+
+import chalk from 'chalk';
+import { resolve } from 'path';
+import { ServiceManager } from '../services/index.js';
+import { MEMORY_SCOPES } from '../services/memory-service.js';
+import { printTable } from '../utils/table.js';
+
+/**
+ * 注册 memory 命令组
+ * @param {import('commander').Command} program
+ */
+export function registerMemoryCommand(program) {
+  const memory = program
+    .command('memory')
+    .description('Inspect the context and memory sent to the model');
+
+  memory
+    .command('show')
+    .description('Show the combined context loaded from GEMINI.md files')
+    .option('-d, --dir <path>', 'Working directory', process.cwd())
+    .option('-t, --touched <path...>', 'Also load context files for these files or directories')
+    .option('--json', 'Output as JSON')
+    .action((options) => {
+      try {
+        const contextService = new ServiceManager({ projectRoot: resolve(options.dir) }).getContextService();
+        const context = contextService.loadContext({ touchedPaths: options.touched || [] });
+
+        if (options.json) {
+          console.log(JSON.stringify({ projectRoot: contextService.projectRoot, ...context }, null, 2));
+          return;
+        }
+        if (context.files.length === 0) {
+          console.log(chalk.gray(`No ${contextService.fileName} files found for ${contextService.workingDir}.`));
+        } else {
+          console.log(chalk.bold(`📄 ${context.files.length} context file(s), ${context.bytes} of ${contextService.maxBytes} bytes:`));
+          for (const file of context.files) {
+            console.log(`  ${chalk.cyan(file.scope.padEnd(12))} ${contextService.displayPath(file.path)}`);
+            for (const imported of file.imports) {
+              console.log(chalk.gray(`  ${''.padEnd(12)}   @${contextService.displayPath(imported)}`));
+            }
+          }
+          console.log(`\n${context.content}`);
+        }
+        for (const warning of context.warnings) {
+          console.log(chalk.yellow(`⚠️ ${warning}`));
+        }
+      } catch (error) {
+        console.error(chalk.red('❌ Error:'), error.message);
+        process.exitCode = 1;
+      }
+    });
+
+  memory
+    .command('list')
+    .alias('ls')
+    .description('List saved memories')
+    .option('-d, --dir <path>', 'Project directory', process.cwd())
+    .option('-s, --scope <scope>', `Only list this scope (${MEMORY_SCOPES.join(', ')})`)
+    .option('--json', 'Output as JSON')
+    .action(withMemoryService((service, options) => {
+      printMemories(service.listMemories({ scope: options.scope }), options);
+    }));
+
+  memory
+    .command('search <query...>')
+    .description('Search memories by relevance, most relevant first')
+    .option('-d, --dir <path>', 'Project directory', process.cwd())
+    .option('-s, --scope <scope>', `Only search this scope (${MEMORY_SCOPES.join(', ')})`)
+    .option('-n, --limit <n>', 'Maximum number of memories to show', (value) => parseInt(value, 10))
+    .option('--json', 'Output as JSON')
+    .action(withMemoryService((service, options, query) => {
+      printMemories(service.searchMemories(query.join(' '), { scope: options.scope, limit: options.limit }), options);
+    }));
+
+  memory
+    .command('add <fact...>')
+    .description('Save a memory')
+    .option('-d, --dir <path>', 'Project directory', process.cwd())
+    .option('-s, --scope <scope>', `Where to save it (${MEMORY_SCOPES.join(', ')})`, 'global')
+    .action(withMemoryService((service, options, fact) => {
+      const { entry, duplicate } = service.addMemory(fact.join(' '), { scope: options.scope });
+      if (duplicate) {
+        console.log(chalk.gray(`Already remembered as ${entry.scope} memory ${entry.id}.`));
+      } else {
+        console.log(chalk.green(`✅ Saved ${entry.scope} memory ${entry.id} to ${entry.path}`));
+      }
+    }));
+
+  memory
+    .command('edit <id> <fact...>')
+    .description('Replace the text of a memory')
+    .option('-d, --dir <path>', 'Project directory', process.cwd())
+    .action(withMemoryService((service, options, id, fact) => {
+      const entry = service.updateMemory(id, fact.join(' '));
+      console.log(chalk.green(`✅ Updated ${entry.scope} memory (new id ${entry.id})`));
+    }));
+
+  memory
+    .command('forget <id...>')
+    .alias('rm')
+    .description('Delete memories')
+    .option('-d, --dir <path>', 'Project directory', process.cwd())
+    .action(withMemoryService((service, options, ids) => {
+      for (const id of ids) {
+        const entry = service.deleteMemory(id);
+        console.log(chalk.green(`🗑️ Forgot ${entry.scope} memory ${entry.id}: ${entry.text}`));
+      }
+    }));
+}
+
+/**
+ * 为子命令创建记忆服务（项目作用域取决于 --dir）并统一处理错误
+ * 处理函数参数为 (service, options, ...命令参数)
+ */
+function withMemoryService(handler) {
+  return (...args) => {
+    const command = args[args.length - 1];
+    const options = command.opts();
+    const commandArgs = args.slice(0, -2);
+
+    try {
+      if (options.scope && !MEMORY_SCOPES.includes(options.scope)) {
+        throw new Error(`Unknown scope "${options.scope}", expected one of: ${MEMORY_SCOPES.join(', ')}`);
+      }
+      const service = new ServiceManager({ projectRoot: resolve(options.dir) }).getMemoryService();
+      handler(service, options, ...commandArgs);
+    } catch (error) {
+      console.error(chalk.red('❌ Error:'), error.message);
+      process.exitCode = 1;
+    }
+  };
+}
+
+function printMemories(memories, options) {
+  if (options.json) {
+    console.log(JSON.stringify(memories, null, 2));
+    return;
+  }
+  if (memories.length === 0) {
+    console.log(chalk.gray('No memories.'));
+    return;
+  }
+  const ranked = memories[0].score !== undefined;
+  printTable(memories.map(entry => ranked ? { ...entry, score: entry.score.toFixed(2) } : entry), [
+    { key: 'id', label: 'ID' },
+    { key: 'scope', label: 'SCOPE' },
+    ...(ranked ? [{ key: 'score', label: 'SCORE' }] : []),
+    { key: 'text', label: 'MEMORY', maxWidth: 80 }
+  ]);
+}
@@ -0,0 +1,20 @@
+/**
+ * 命令共用的模型客户端
+ *
+ * 非对话命令（commit、review）不需要工具和会话，只按配置创建模型客户端
+ */
+
+import { ConfigService } from '../services/index.js';
+import { UnifiedAIClient } from '../core/unified-client.js';
+import { loadProviderPlugins } from '../core/providers/index.js';
+
+/**
+ * 根据合并后的 api 配置创建模型客户端（先加载第三方提供商插件）
+ * @returns {Promise<UnifiedAIClient>}
+ */
+export async function createModelClient() {
+  const configService = new ConfigService();
+  const apiConfig = configService.get('api');
+  await loadProviderPlugins(apiConfig.providerPlugins || [], configService.configDir);
+  return new UnifiedAIClient(apiConfig);
+}
@@ -0,0 +1,106 @@
+/**
+ * RESTORE COMMAND: 检查点恢复命令
+ *
+ * mini-gemini restore            列出当前目录的检查点
+ * mini-gemini restore <id>       恢复文件，并将关联的会话回退到触发检查点的用户消息之前
+ */
+
+import chalk from 'chalk';
+import { resolve } from 'path';
+import { CheckpointService, SessionService } from '../services/index.js';
+import { printTable } from '../utils/table.js';
+
+/**
+ * 注册 restore 命令
+ * @param {import('commander').Command} program
+ */
+export function registerRestoreCommand(program) {
+  program
+    .command('restore [checkpoint]')
+    .description('List checkpoints, or roll back files and the conversation to a checkpoint')
+    .option('-d, --dir <path>', 'Project directory', process.cwd())
+    .option('-s, --session <id>', 'Only list checkpoints of this session')
+    .option('-n, --limit <n>', 'Maximum number of checkpoints to list', (value) => parseInt(value, 10), 20)
+    .option('--files-only', 'Restore files without rewinding the conversation')
+    .option('--json', 'Output as JSON')
+    .action((id, options) => {
+      try {
+        const checkpointService = new CheckpointService(resolve(options.dir));
+        if (id) {
+          restore(checkpointService, id, options);
+        } else {
+          list(checkpointService, options);
+        }
+      } catch (error) {
+        console.error(chalk.red('❌ Error:'), error.message);
+        process.exitCode = 1;
+      }
+    });
+}
+
+function list(checkpointService, options) {
+  const sessionService = new SessionService();
+  const sessionId = options.session ? sessionService.resolveSessionId(options.session) : undefined;
+  const checkpoints = checkpointService.listCheckpoints({ sessionId }).slice(0, options.limit);
+
+  if (options.json) {
+    console.log(JSON.stringify(checkpoints, null, 2));
+    return;
+  }
+  if (checkpoints.length === 0) {
+    console.log(chalk.gray(`No checkpoints for ${checkpointService.projectRoot}.`));
+    return;
+  }
+
+  printTable(checkpoints.map(checkpoint => ({
+    ...checkpoint,
+    createdAt: new Date(checkpoint.createdAt).toLocaleString(),
+    sessionId: checkpoint.sessionId || '-'
+  })), [
+    { key: 'id', label: 'ID' },
+    { key: 'createdAt', label: 'CREATED' },
+    { key: 'description', label: 'TOOL CALL', maxWidth: 50 },
+    { key: 'sessionId', label: 'SESSION' }
+  ]);
+  console.log(chalk.gray('\nRestore with: mini-gemini restore <id>'));
+}
+
+function restore(checkpointService, id, options) {
+  const result = checkpointService.restoreCheckpoint(id);
+  const { checkpoint } = result;
+  let conversation = null;
+
+  if (!options.filesOnly && checkpoint.sessionId && checkpoint.messageId) {
+    try {
+      const sessionService = new SessionService();
+      sessionService.loadSession(checkpoint.sessionId);
+      const { removed, prompt } = sessionService.rewindToMessage(checkpoint.messageId);
+      conversation = { sessionId: checkpoint.sessionId, removedMessages: removed.length, prompt };
+    } catch (error) {
+      conversation = { sessionId: checkpoint.sessionId, error: error.message };
+    }
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify({
+      checkpoint,
+      backup: result.backup.id,
+      restored: result.restored,
+      removed: result.removed,
+      conversation
+    }, null, 2));
+    return;
+  }
+
+  console.log(chalk.green(`⏪ Restored files to checkpoint ${checkpoint.id}: ${result.restored.length} restored, ${result.removed.length} removed`));
+  if (conversation?.error) {
+    console.log(chalk.yellow(`⚠️ Could not rewind session ${conversation.sessionId}: ${conversation.error}`));
+  } else if (conversation) {
+    console.log(chalk.green(`⏪ Rewound session ${conversation.sessionId} (${conversation.removedMessages} messages removed)`));
+    if (conversation.prompt) {
+      console.log(chalk.gray(`Your prompt was: ${conversation.prompt}`));
+    }
+    console.log(chalk.gray(`Continue with: mini-gemini chat --resume ${conversation.sessionId}`));
+  }
+  console.log(chalk.gray(`Undo with: mini-gemini restore ${result.backup.id}`));
+}
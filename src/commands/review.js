@@ -0,0 +1,344 @@
+/**
+ * REVIEW COMMAND: 用模型审查当前分支的改动
+ *
+ * mini-gemini review [base] [--format text|json|sarif] [--output <file>] [--fail-on <severity>]
+ * 默认与主分支的合并基础比较，按文件拆分 diff 分批发送给模型，
+ * 输出结构化的发现（文件、行号、严重程度、说明）
+ */
+
+import chalk from 'chalk';
+import { writeFileSync } from 'fs';
+import { GitService } from '../services/index.js';
+import { createModelClient } from './model-client.js';
+
+const SEVERITIES = ['error', 'warning', 'info'];
+const FORMATS = ['text', 'json', 'sarif'];
+// 单个文件 diff 的上限，超出部分截断
+const MAX_FILE_DIFF_BYTES = 20000;
+// 单次请求中所有 diff 的上限，超出时拆分为多个请求
+const MAX_BATCH_BYTES = 40000;
+
+/**
+ * 注册 review 命令
+ * @param {import('commander').Command} program
+ */
+export function registerReviewCommand(program) {
+  program
+    .command('review [base]')
+    .description('Review the commits on the current branch with the model (default base: merge-base with the main branch)')
+    .option('-f, --format <format>', `Output format: ${FORMATS.join(', ')}`, 'text')
+    .option('-o, --output <file>', 'Write the report to a file instead of stdout')
+    .option('--fail-on <severity>', `Exit with code 1 if any finding is at least this severe (${SEVERITIES.join(', ')})`)
+    .action(async (base, options) => {
+      try {
+        await runReview(base, options);
+      } catch (error) {
+        console.error(chalk.red('❌ Error:'), error.message);
+        process.exit(1);
+      }
+    });
+}
+
+async function runReview(base, options) {
+  if (!FORMATS.includes(options.format)) {
+    throw new Error(`Unknown format "${options.format}", expected one of: ${FORMATS.join(', ')}`);
+  }
+  if (options.failOn && !SEVERITIES.includes(options.failOn)) {
+    throw new Error(`Unknown severity "${options.failOn}", expected one of: ${SEVERITIES.join(', ')}`);
+  }
+
+  // 在子目录中运行时也以仓库根目录为准（diff 中的路径相对于根目录）
+  const repoRoot = GitService.findRepoRoot(process.cwd());
+  if (!repoRoot) {
+    throw new Error('Not a git repository');
+  }
+  const git = new GitService(repoRoot);
+
+  const baseRef = base || git.getDefaultBranch();
+  if (!baseRef) {
+    throw new Error('Could not find a main branch; pass the base ref explicitly, e.g. `mini-gemini review origin/develop`');
+  }
+  if (!git.hasCommit(baseRef)) {
+    throw new Error(`Unknown ref: ${baseRef}`);
+  }
+
+  const mergeBase = git.getMergeBase(baseRef);
+  const changes = git.getChangedFiles(`${mergeBase}..HEAD`);
+  const files = changes.map(change => change.path);
+  // 机器可读格式输出到 stdout 时，进度信息写到 stderr
+  const log = options.format === 'text' || options.output ? console.log : console.error;
+
+  const report = {
+    base: baseRef,
+    mergeBase,
+    head: git.runGit(['rev-parse', 'HEAD']).output.trim(),
+    files,
+    renames: changes.filter(change => change.oldPath).map(change => ({ from: change.oldPath, to: change.path })),
+    findings: [],
+    errors: []
+  };
+
+  if (files.length === 0) {
+    log(chalk.gray(`No changes to review against ${baseRef}.`));
+  } else {
+    const batches = buildBatches(git, mergeBase, changes);
+    log(chalk.blue(`🔍 Reviewing ${files.length} file(s) against ${baseRef} (${mergeBase.slice(0, 8)}) in ${batches.length} request(s)...`));
+
+    const client = await withConsoleToStderr(log === console.error, () => createModelClient());
+    for (const [index, batch] of batches.entries()) {
+      log(chalk.gray(`  [${index + 1}/${batches.length}] ${batch.map(describeFile).join(', ')}`));
+      try {
+        report.findings.push(...await reviewBatch(client, batch));
+      } catch (error) {
+        report.errors.push({ files: batch.map(item => item.file), message: error.message });
+        log(chalk.yellow(`  ⚠️ ${error.message}`));
+      }
+    }
+  }
+
+  report.findings.sort((a, b) =>
+    a.file.localeCompare(b.file) || (a.line ?? 0) - (b.line ?? 0) ||
+    SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity)
+  );
+
+  const output = options.format === 'json'
+    ? JSON.stringify(report, null, 2)
+    : options.format === 'sarif'
+      ? JSON.stringify(toSarif(report), null, 2)
+      : formatText(report);
+
+  if (options.output) {
+    writeFileSync(options.output, `${output}\n`);
+    console.log(chalk.green(`✅ Wrote ${report.findings.length} finding(s) to ${options.output}`));
+  } else {
+    console.log(output);
+  }
+
+  if (options.failOn) {
+    const threshold = SEVERITIES.indexOf(options.failOn);
+    if (report.findings.some(finding => SEVERITIES.indexOf(finding.severity) <= threshold)) {
+      process.exitCode = 1;
+    }
+  }
+  // 有批次审查失败时结果不完整，不能当作通过
+  if (report.errors.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * 按文件获取 diff 并拆分为多个请求
+ * 重命名的文件同时传入原路径和新路径，diff 中保留重命名信息
+ * @returns {Array<Array<{file: string, oldFile?: string, diff: string, truncated: boolean}>>}
+ */
+function buildBatches(git, mergeBase, changes) {
+  const batches = [];
+  let current = [];
+  let currentBytes = 0;
+
+  for (const { path: file, oldPath: oldFile } of changes) {
+    const { output, truncated } = git.getDiff({
+      ref: `${mergeBase}..HEAD`,
+      paths: oldFile ? [oldFile, file] : [file],
+      findRenames: Boolean(oldFile),
+      maxBytes: MAX_FILE_DIFF_BYTES
+    });
+    const bytes = Buffer.byteLength(output);
+
+    if (current.length > 0 && currentBytes + bytes > MAX_BATCH_BYTES) {
+      batches.push(current);
+      current = [];
+      currentBytes = 0;
+    }
+    current.push({ file, ...(oldFile && { oldFile }), diff: output, truncated });
+    currentBytes += bytes;
+  }
+
+  if (current.length > 0) {
+    batches.push(current);
+  }
+  return batches;
+}
+
+/**
+ * 进度和提示词中显示的文件名，重命名显示为 "原路径 → 新路径"
+ */
+function describeFile({ file, oldFile }) {
+  return oldFile ? `${oldFile} → ${file}` : file;
+}
+
+async function reviewBatch(client, batch) {
+  const response = await client.sendMessage(buildReviewPrompt(batch), []);
+  return parseFindings(response.text || '', batch.map(item => item.file));
+}
+
+function buildReviewPrompt(batch) {
+  const instructions = [
+    'Review the following changes and report problems in the new code.',
+    [
+      'Rules:',
+      '- Report real problems only: bugs, security issues, missing or wrong error handling, race conditions, performance problems and clear maintainability issues.',
+      '- Do not report formatting or style issues a linter would catch, and do not praise the code.',
+      '- Renamed files are shown as "old → new"; always use the new path for "file".',
+      '- Each diff line is prefixed with its line number in the new version of the file. Use that number for "line"; use null if the finding is not about a specific line.',
+      '- severity is "error" for defects that will break something, "warning" for likely problems, "info" for suggestions.',
+      '- Reply with JSON only, in this shape: {"findings": [{"file": "path/to/file", "line": 12, "severity": "warning", "message": "..."}]}',
+      '- Reply with {"findings": []} when there is nothing to report.'
+    ].join('\n')
+  ];
+
+  const diffs = batch.map(item =>
+    `File: ${describeFile(item)}${item.truncated ? ' (diff truncated)' : ''}\n${annotateDiff(item.diff)}`
+  );
+
+  return [
+    { role: 'system', content: 'You are a meticulous senior code reviewer.' },
+    { role: 'user', content: [...instructions, ...diffs].join('\n\n') }
+  ];
+}
+
+/**
+ * 给 diff 中新增行和上下文行加上新文件中的行号
+ */
+function annotateDiff(diff) {
+  let line = 0;
+  return diff.split('\n').map(text => {
+    const hunk = text.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+    if (hunk) {
+      line = parseInt(hunk[1], 10);
+      return text;
+    }
+    if (line === 0 || text === '') {
+      return text;
+    }
+    if (text.startsWith('+') || text.startsWith(' ')) {
+      return `${String(line++).padStart(5)} ${text}`;
+    }
+    return `${''.padStart(5)} ${text}`;
+  }).join('\n');
+}
+
+/**
+ * 解析模型返回的 JSON，只保留属于本批文件的发现
+ */
+function parseFindings(text, files) {
+  const json = text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1);
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Could not parse the model response as JSON: ${text.slice(0, 200)}`);
+  }
+
+  const findings = Array.isArray(parsed.findings) ? parsed.findings : [];
+  return findings
+    .map(finding => ({
+      file: String(finding.file || '').replace(/^[ab]\//, ''),
+      line: Number.isInteger(Number(finding.line)) && Number(finding.line) > 0 ? Number(finding.line) : null,
+      severity: normalizeSeverity(finding.severity),
+      message: String(finding.message || '').trim()
+    }))
+    .filter(finding => files.includes(finding.file) && finding.message);
+}
+
+function normalizeSeverity(severity) {
+  const value = String(severity || '').toLowerCase();
+  if (['error', 'critical', 'high', 'blocker'].includes(value)) return 'error';
+  if (['warning', 'warn', 'medium', 'major'].includes(value)) return 'warning';
+  return 'info';
+}
+
+function formatText(report) {
+  const lines = [];
+  const colors = { error: chalk.red, warning: chalk.yellow, info: chalk.blue };
+
+  const renamedFrom = new Map(report.renames.map(rename => [rename.to, rename.from]));
+  let currentFile = null;
+  for (const finding of report.findings) {
+    if (finding.file !== currentFile) {
+      currentFile = finding.file;
+      lines.push('', chalk.bold(describeFile({ file: finding.file, oldFile: renamedFrom.get(finding.file) })));
+    }
+    const location = finding.line ? `${finding.line}`.padStart(5) : '    -';
+    lines.push(`${location}  ${colors[finding.severity](finding.severity.padEnd(7))}  ${finding.message}`);
+  }
+
+  const counts = SEVERITIES
+    .map(severity => [severity, report.findings.filter(finding => finding.severity === severity).length])
+    .filter(([, count]) => count > 0)
+    .map(([severity, count]) => `${count} ${severity}`);
+  lines.push('');
+  lines.push(report.findings.length === 0
+    ? chalk.green(`✅ No findings in ${report.files.length} file(s)`)
+    : `${report.findings.length} finding(s) (${counts.join(', ')}) in ${report.files.length} file(s)`);
+  if (report.errors.length > 0) {
+    lines.push(chalk.yellow(`⚠️ ${report.errors.length} request(s) failed; the review is incomplete`));
+  }
+
+  return lines.join('\n').replace(/^\n/, '');
+}
+
+/**
+ * 转换为 SARIF 2.1.0，便于 CI 和代码托管平台展示
+ */
+function toSarif(report) {
+  const levels = { error: 'error', warning: 'warning', info: 'note' };
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'mini-gemini-review',
+            rules: [
+              {
+                id: 'ai-review',
+                shortDescription: { text: 'Model code review finding' }
+              }
+            ]
+          }
+        },
+        results: report.findings.map(finding => ({
+          ruleId: 'ai-review',
+          level: levels[finding.severity],
+          message: { text: finding.message },
+          locations: [
+            {
+              physicalLocation: {
+                artifactLocation: { uri: finding.file },
+                ...(finding.line ? { region: { startLine: finding.line } } : {})
+              }
+            }
+          ]
+        })),
+        invocations: [
+          {
+            executionSuccessful: report.errors.length === 0,
+            toolExecutionNotifications: report.errors.map(error => ({
+              level: 'error',
+              message: { text: `${error.files.join(', ')}: ${error.message}` }
+            }))
+          }
+        ]
+      }
+    ]
+  };
+}
+
+/**
+ * 提供商初始化时会向 stdout 打印配置信息，输出 JSON / SARIF 时临时改写到 stderr
+ */
+async function withConsoleToStderr(enabled, run) {
+  if (!enabled) {
+    return run();
+  }
+  const originalLog = console.log;
+  console.log = console.error;
+  try {
+    return await run();
+  } finally {
+    console.log = originalLog;
+  }
+}
@@ -0,0 +1,205 @@
+/**
+ * SESSIONS COMMAND: 会话管理命令组
+ *
+ * mini-gemini sessions list|show|delete|rename|prune|export|import
+ * 默认以表格输出，--json 输出机器可读格式
+ */
+
+import chalk from 'chalk';
+import { readFileSync, writeFileSync } from 'fs';
+import { resolve } from 'path';
+import { SessionService } from '../services/index.js';
+import { printTable } from '../utils/table.js';
+
+/**
+ * 注册 sessions 命令组
+ * @param {import('commander').Command} program
+ */
+export function registerSessionsCommand(program) {
+  const sessions = program
+    .command('sessions')
+    .description('Manage saved chat sessions');
+
+  sessions
+    .command('list', { isDefault: true })
+    .alias('ls')
+    .description('List saved sessions, most recent first')
+    .option('-d, --dir <path>', 'Only show sessions for this working directory')
+    .option('-n, --limit <n>', 'Maximum number of sessions to show', (value) => parseInt(value, 10))
+    .option('--json', 'Output as JSON')
+    .action(withSessionService((service, options) => {
+      let list = service.listSessions();
+      if (options.dir) {
+        const dir = resolve(options.dir);
+        list = list.filter(session => session.workingDir && resolve(session.workingDir) === dir);
+      }
+      if (options.limit) {
+        list = list.slice(0, options.limit);
+      }
+
+      if (options.json) {
+        printJson(list);
+        return;
+      }
+      if (list.length === 0) {
+        console.log(chalk.gray('No saved sessions.'));
+        return;
+      }
+      printTable(list.map(session => ({
+        ...session,
+        updatedAt: formatDate(session.updatedAt)
+      })), [
+        { key: 'id', label: 'ID' },
+        { key: 'title', label: 'TITLE', maxWidth: 40 },
+        { key: 'messageCount', label: 'MESSAGES' },
+        { key: 'updatedAt', label: 'UPDATED' },
+        { key: 'workingDir', label: 'DIRECTORY', maxWidth: 50 }
+      ]);
+    }));
+
+  sessions
+    .command('show <id>')
+    .description('Show a session and its messages')
+    .option('--json', 'Output as JSON')
+    .action(withSessionService((service, options, id) => {
+      const session = service.readSessionFile(service.resolveSessionId(id));
+
+      if (options.json) {
+        printJson(session);
+        return;
+      }
+
+      console.log(chalk.bold(session.title));
+      console.log(chalk.gray(`ID:        ${session.id}`));
+      console.log(chalk.gray(`Directory: ${session.context?.workingDir || '-'}`));
+      console.log(chalk.gray(`Model:     ${session.context?.model || '-'}`));
+      console.log(chalk.gray(`Created:   ${formatDate(session.createdAt)}`));
+      console.log(chalk.gray(`Updated:   ${formatDate(session.updatedAt)}`));
+      console.log(chalk.gray(`Messages:  ${session.history.length}`));
+
+      for (const message of session.history) {
+        console.log('');
+        console.log(chalk.cyan(`[${message.role}] ${formatDate(message.timestamp)}`));
+        if (message.content) {
+          console.log(message.content);
+        }
+        for (const toolCall of message.tool_calls || []) {
+          console.log(chalk.gray(`→ ${toolCall.name}(${JSON.stringify(toolCall.arguments)})`));
+        }
+      }
+    }));
+
+  sessions
+    .command('delete <ids...>')
+    .alias('rm')
+    .description('Delete one or more sessions')
+    .option('--json', 'Output as JSON')
+    .action(withSessionService((service, options, ids) => {
+      const deleted = ids.map(id => {
+        const sessionId = service.resolveSessionId(id);
+        service.deleteSession(sessionId);
+        return sessionId;
+      });
+
+      if (options.json) {
+        printJson({ deleted });
+        return;
+      }
+      deleted.forEach(sessionId => console.log(chalk.green(`🗑️ Deleted session ${sessionId}`)));
+    }));
+
+  sessions
+    .command('rename <id> <title>')
+    .description('Rename a session')
+    .option('--json', 'Output as JSON')
+    .action(withSessionService((service, options, id, title) => {
+      const session = service.renameSession(service.resolveSessionId(id), title);
+
+      if (options.json) {
+        printJson({ id: session.id, title: session.title });
+        return;
+      }
+      console.log(chalk.green(`✏️ Renamed session ${session.id} to "${session.title}"`));
+    }));
+
+  sessions
+    .command('prune')
+    .description('Delete sessions not updated in the last N days')
+    .requiredOption('--older-than <days>', 'Age threshold in days', (value) => Number(value))
+    .option('--dry-run', 'Show what would be deleted without deleting')
+    .option('--json', 'Output as JSON')
+    .action(withSessionService((service, options) => {
+      const pruned = service.pruneSessions(options.olderThan, { dryRun: options.dryRun });
+
+      if (options.json) {
+        printJson({ dryRun: Boolean(options.dryRun), sessions: pruned });
+        return;
+      }
+      if (pruned.length === 0) {
+        console.log(chalk.gray(`No sessions older than ${options.olderThan} days.`));
+        return;
+      }
+      const verb = options.dryRun ? 'Would delete' : 'Deleted';
+      console.log(chalk.green(`🗑️ ${verb} ${pruned.length} session(s):`));
+      pruned.forEach(session => console.log(`  ${session.id}  ${session.title}`));
+    }));
+
+  sessions
+    .command('export <id>')
+    .description('Export a session')
+    .option('-f, --format <format>', 'Export format: json, jsonl, markdown, html, text (only json, jsonl and html can be imported)', 'json')
+    .option('-o, --output <file>', 'Write to a file instead of stdout')
+    .action(withSessionService((service, options, id) => {
+      const content = service.exportSession(service.resolveSessionId(id), options.format);
+
+      if (options.output) {
+        writeFileSync(options.output, content, 'utf8');
+        console.log(chalk.green(`📤 Exported session to ${options.output}`));
+        return;
+      }
+      process.stdout.write(content.endsWith('\n') ? content : content + '\n');
+    }));
+
+  sessions
+    .command('import <file>')
+    .description('Import a session exported as json, jsonl or html')
+    .option('-f, --format <format>', 'Import format (detected from content by default)')
+    .option('--json', 'Output as JSON')
+    .action(withSessionService((service, options, file) => {
+      const session = service.importSession(readFileSync(file, 'utf8'), options.format);
+
+      if (options.json) {
+        printJson({ id: session.id, title: session.title, messageCount: session.history.length });
+        return;
+      }
+      console.log(chalk.green(`📥 Imported session ${session.id} (${session.history.length} messages)`));
+      console.log(chalk.gray(`Resume it with: mini-gemini chat --resume ${session.id}`));
+    }));
+}
+
+/**
+ * 为子命令创建 SessionService 并统一处理错误
+ * 处理函数参数为 (service, options, ...命令参数)
+ */
+function withSessionService(handler) {
+  return (...args) => {
+    const command = args[args.length - 1];
+    const options = command.opts();
+    const commandArgs = args.slice(0, -2);
+
+    try {
+      handler(new SessionService(), options, ...commandArgs);
+    } catch (error) {
+      console.error(chalk.red('❌ Error:'), error.message);
+      process.exitCode = 1;
+    }
+  };
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : '-';
+}
+
+function printJson(value) {
+  console.log(JSON.stringify(value, null, 2));
+}
@@ -8,25 +8,55 @@
  * 4. 递归思考机制
  */
 
-import { readFileSync, writeFileSync, existsSync } from "fs";
-import { join } from "path";
-import { homedir } from "os";
 import { UnifiedAIClient } from "./unified-client.js";
-import { configLoader } from "../utils/config-loader.js";
-import { MemoryTool } from "../tools/memory.js";
+import { loadProviderPlugins } from "./providers/index.js";
+import {
+  ContextWindowManager,
+  buildSummaryRequest,
+  estimateTextTokens,
+} from "./context-window.js";
+import { ToolApprovalManager, createDeniedResult } from "./tool-approval.js";
+import { SlashCommandRegistry } from "./slash-commands.js";
+import { loadCustomCommands, expandPrompt } from "./custom-commands.js";
+import { PathPolicy } from "../utils/path-policy.js";
+import {
+  MemoryTool,
+  ListMemoriesTool,
+  RecallTool,
+  UpdateMemoryTool,
+  DeleteMemoryTool,
+} from "../tools/memory.js";
 import { ReadFileTool } from "../tools/read-file.js";
 import { WriteFileTool } from "../tools/write-file.js";
+import { ShellTool } from "../tools/shell.js";
+import { ReplaceTool } from "../tools/replace.js";
+import { ListDirectoryTool } from "../tools/list-directory.js";
+import { GlobTool } from "../tools/glob.js";
+import { SearchFileContentTool } from "../tools/search-file-content.js";
+import {
+  GitStatusTool,
+  GitDiffTool,
+  GitLogTool,
+  GitShowTool,
+} from "../tools/git.js";
 import {
   integrateMcpTools,
   createMcpAwareToolRegistry,
 } from "../tools/mcp-integration.js";
 import { ServiceManager } from "../services/index.js";
 import chalk from "chalk";
+import { join } from "path";
+import { homedir } from "os";
 
 export class MiniGeminiClient {
   constructor(config) {
     this.config = config;
     this.history = [];
+    // 工具访问过的路径，用于加载子目录中的 GEMINI.md
+    this.touchedPaths = new Set();
+    this.loadedContextFiles = new Set();
+    this.contextWarnings = new Set();
+    this.slashCommands = new SlashCommandRegistry();
 
     // 初始化服务管理器
     this.serviceManager = new ServiceManager({
@@ -34,9 +64,37 @@ export class MiniGeminiClient {
       sessionConfig: config.sessionConfig || {}
     });
 
+    // 模型客户端和工具注册是异步的，进入对话前需要等待完成
+    this.ready = this.setupServicesAndTools();
+  }
+
+  async setupServicesAndTools() {
+    await this.setupServices();
+    await this.setupApiClient();
+    await this.setupTools();
+    this.setupSlashCommands();
+  }
+
+  /**
+   * 根据合并后的 api 配置创建模型客户端（先加载第三方提供商插件）
+   */
+  async setupApiClient() {
+    const configService = this.serviceManager.getConfigService();
+    const apiConfig = configService.get("api");
+
     try {
-      this.apiClient = new UnifiedAIClient();
+      await loadProviderPlugins(apiConfig.providerPlugins || [], configService.configDir);
+      this.apiClient = new UnifiedAIClient(apiConfig);
       console.log(chalk.green("✅ Unified API client initialized"));
+
+      // 上下文窗口管理：上限优先取 chat.contextWindow，否则按模型查找
+      this.contextWindow = new ContextWindowManager({
+        summarize: (messages) => this.summarizeMessages(messages),
+        model: this.apiClient.getConfig().model,
+        contextWindow: configService.get("chat.contextWindow"),
+        compressionThreshold: configService.get("chat.compressionThreshold", 0.7),
+        maxMessages: configService.get("chat.maxHistoryLength", 50),
+      });
     } catch (error) {
       console.error(
         chalk.red("❌ Failed to initialize API client:"),
@@ -45,13 +103,6 @@ export class MiniGeminiClient {
       console.log(chalk.yellow("💡 Please check your API configuration"));
       process.exit(1);
     }
-
-    this.setupServicesAndTools();
-  }
-
-  async setupServicesAndTools() {
-    await this.setupServices();
-    await this.setupTools();
   }
 
   async setupServices() {
@@ -85,12 +136,12 @@ export class MiniGeminiClient {
       getTool: function (name) {
         return this.tools.get(name);
       },
-      executeTool: async function (name, params) {
+      executeTool: async function (name, params, options) {
         const tool = this.tools.get(name);
         if (!tool) {
           throw new Error(`Tool not found: ${name}`);
         }
-        return await tool.execute(params);
+        return await tool.execute(params, options);
       },
       getFunctionDeclarations: function () {
         return Array.from(this.tools.values()).map((tool) => ({
@@ -111,84 +162,301 @@ export class MiniGeminiClient {
       },
     };
 
+    const configService = this.serviceManager.getConfigService();
+    const security = configService.get("security");
+
+    // 有副作用的工具执行前需要用户确认
+    this.approvalManager = new ToolApprovalManager({
+      prompt: (question) => this.getUserInput(question),
+      autoApprove: configService.get("tools.autoApprove", []),
+    });
+
     // Create MCP-aware tool registry
     this.toolRegistry = createMcpAwareToolRegistry(baseToolRegistry);
 
+    // 文件工具只能访问工作区（及 security.allowedPaths），restrictedPaths 始终拒绝
+    this.pathPolicy = new PathPolicy({
+      workspaceRoot: this.config.workingDir || process.cwd(),
+      ...security,
+    });
+
     // 注册本地工具
-    this.toolRegistry.registerTool(new ReadFileTool());
-    this.toolRegistry.registerTool(new WriteFileTool());
-    this.toolRegistry.registerTool(new MemoryTool());
+    this.toolRegistry.registerTool(new ReadFileTool({ pathPolicy: this.pathPolicy }));
+    this.toolRegistry.registerTool(new WriteFileTool({ pathPolicy: this.pathPolicy }));
+    this.toolRegistry.registerTool(new ReplaceTool({ pathPolicy: this.pathPolicy }));
+
+    // 文件发现工具基于 FileService，遵循忽略规则和 files.maxFiles
+    const fileToolOptions = {
+      fileService: this.serviceManager.getFileService(),
+      pathPolicy: this.pathPolicy,
+      fileOptions: configService.get("files"),
+    };
+    this.toolRegistry.registerTool(new ListDirectoryTool(fileToolOptions));
+    this.toolRegistry.registerTool(new GlobTool(fileToolOptions));
+    this.toolRegistry.registerTool(new SearchFileContentTool(fileToolOptions));
+
+    this.toolRegistry.registerTool(
+      new ShellTool({
+        workspaceRoot: this.pathPolicy.workspaceRoot,
+        pathPolicy: this.pathPolicy,
+        allowedCommands: security.allowedCommands,
+        timeout: configService.get("tools.toolTimeout", 30000),
+        maxOutputBytes: configService.get("tools.maxOutputBytes", 65536),
+      })
+    );
+
+    // Git 查询工具只在工作区是 Git 仓库时注册
+    const gitService = this.serviceManager.getGitService();
+    if (gitService.isGitRepo) {
+      const gitToolOptions = {
+        gitService,
+        pathPolicy: this.pathPolicy,
+        maxOutputBytes: configService.get("tools.maxOutputBytes", 65536),
+      };
+      this.toolRegistry.registerTool(new GitStatusTool(gitToolOptions));
+      this.toolRegistry.registerTool(new GitDiffTool(gitToolOptions));
+      this.toolRegistry.registerTool(new GitLogTool(gitToolOptions));
+      this.toolRegistry.registerTool(new GitShowTool(gitToolOptions));
+    }
+
+    const memoryToolOptions = {
+      memoryService: this.serviceManager.getMemoryService(),
+    };
+    this.toolRegistry.registerTool(new MemoryTool(memoryToolOptions));
+    this.toolRegistry.registerTool(new ListMemoriesTool(memoryToolOptions));
+    this.toolRegistry.registerTool(new RecallTool(memoryToolOptions));
+    this.toolRegistry.registerTool(new UpdateMemoryTool(memoryToolOptions));
+    this.toolRegistry.registerTool(new DeleteMemoryTool(memoryToolOptions));
+
+    // 有副作用的工具执行前创建检查点（家目录等过大的目录除外）
+    this.checkpointsEnabled =
+      configService.get("checkpointing.enabled", true) !== false &&
+      this.serviceManager.getCheckpointService().isSupported();
 
     // 集成 MCP 工具
     await integrateMcpTools(this.toolRegistry, this.config.mcpServerCommand);
   }
 
   async startChat() {
+    await this.ready;
+
     console.log("\n🤖 Mini Gemini Chat Started!");
-    console.log('Type "exit" to quit, "help" for commands\n');
+    console.log('Type "/help" for commands, "/exit" to quit\n');
 
-    // 初始化对话
+    // 初始化对话并开始（或恢复）会话
     this.initializeHistory();
+    this.initializeSession();
+    this.loadProjectContext();
 
     while (true) {
-      const input = await this.getUserInput("You: ");
+      const input = await this.getUserInput("You: ", {
+        completer: (line) => this.slashCommands.complete(line),
+      });
 
-      if (input.toLowerCase() === "exit") {
-        console.log("👋 Goodbye!");
+      // 以 / 开头的输入作为命令处理，其余发送给模型
+      const command = await this.runSlashCommand(input);
+      if (command.exit) {
         break;
       }
-
-      if (input.toLowerCase() === "help") {
-        this.showHelp();
+      if (command.handled) {
         continue;
       }
 
-      if (input.toLowerCase() === "history") {
-        this.showHistory();
-        continue;
-      }
+      await this.processMessage(input);
+    }
+  }
 
-      if (input.toLowerCase() === "clear") {
-        this.clearHistory();
-        console.log("🗑️ Conversation history cleared.");
-        continue;
-      }
+  /**
+   * 注册内置斜杠命令并加载自定义命令
+   */
+  setupSlashCommands() {
+    const builtins = [
+      {
+        name: "help",
+        usage: "[command]",
+        description: "Show commands and tools, or details of one command",
+        action: ({ argv }) => this.showHelp(argv[0]),
+        complete: () => this.slashCommands.list().map((command) => command.name),
+      },
+      {
+        name: "exit",
+        aliases: ["quit"],
+        description: "Save the session and quit",
+        action: () => {
+          const session = this.getSessionService().getCurrentSession();
+          if (session) {
+            console.log(chalk.gray(`💾 Session saved. Resume with: mini-gemini chat --resume ${session.id}`));
+          }
+          console.log("👋 Goodbye!");
+          return { exit: true };
+        },
+      },
+      {
+        name: "history",
+        description: "Show conversation history",
+        action: () => this.showHistory(),
+      },
+      {
+        name: "clear",
+        description: "Clear conversation history",
+        action: () => {
+          this.clearHistory();
+          console.log("🗑️ Conversation history cleared.");
+        },
+      },
+      {
+        name: "status",
+        description: "Show system status and services info",
+        action: () => this.showStatus(),
+      },
+      {
+        name: "project",
+        description: "Show project overview",
+        action: () => this.showProjectOverview(),
+      },
+      {
+        name: "compress",
+        description: "Summarize older messages to free up context",
+        action: () => this.compressHistory({ force: true }),
+      },
+      {
+        name: "restore",
+        usage: "[id]",
+        description: "List checkpoints, or roll back files and conversation to one",
+        action: ({ argv }) => this.restoreCheckpoint(argv[0]),
+        complete: () => {
+          const session = this.getSessionService().getCurrentSession();
+          return this.serviceManager
+            .getCheckpointService()
+            .listCheckpoints({ sessionId: session?.id })
+            .map((checkpoint) => checkpoint.id);
+        },
+      },
+      {
+        name: "commands",
+        usage: "[reload]",
+        description: "List custom commands, or reload them from disk",
+        action: ({ argv }) => {
+          if (argv[0] === "reload") {
+            this.loadCustomSlashCommands();
+          }
+          this.showCustomCommands();
+        },
+        complete: () => ["reload"],
+      },
+    ];
+    builtins.forEach((command) => this.slashCommands.register(command));
 
-      if (input.toLowerCase() === "status") {
-        await this.showStatus();
+    this.loadCustomSlashCommands();
+  }
+
+  /**
+   * 从 ~/.gemini-mini/commands 和 <项目根目录>/.gemini-mini/commands 加载自定义命令，
+   * 项目命令覆盖同名的用户命令，与内置命令同名的跳过
+   */
+  loadCustomSlashCommands() {
+    this.slashCommands
+      .list()
+      .filter((command) => command.source !== "built-in")
+      .forEach((command) => this.slashCommands.unregister(command.name));
+
+    const projectRoot = this.serviceManager.getContextService().projectRoot;
+    const { commands, warnings } = loadCustomCommands([
+      { dir: join(homedir(), ".gemini-mini", "commands"), source: "user" },
+      { dir: join(projectRoot, ".gemini-mini", "commands"), source: "project" },
+    ]);
+
+    for (const definition of commands) {
+      const existing = this.slashCommands.get(definition.name);
+      if (existing) {
+        warnings.push(`自定义命令 /${definition.name}（${definition.path}）与内置命令 /${existing.name} 冲突，已跳过`);
         continue;
       }
+      this.slashCommands.register({
+        ...definition,
+        usage: "[args]",
+        action: ({ args }) => this.runCustomCommand(definition, args),
+      });
+    }
+    warnings.forEach((warning) => console.log(chalk.yellow(`⚠️ ${warning}`)));
+  }
 
-      if (input.toLowerCase() === "project") {
-        await this.showProjectOverview();
-        continue;
+  /**
+   * 执行斜杠命令
+   * @returns {Promise<{handled: boolean, exit?: boolean}>}
+   */
+  async runSlashCommand(input) {
+    try {
+      const { handled, name, command, result } = await this.slashCommands.execute(input);
+      if (handled && !command) {
+        console.log(chalk.yellow(`Unknown command /${name}. Type /help to see available commands.`));
       }
+      return { handled, exit: Boolean(result?.exit) };
+    } catch (error) {
+      console.error(chalk.red("❌ Error:"), error.message);
+      return { handled: true };
+    }
+  }
 
-      await this.processMessage(input);
+  /**
+   * 展开自定义命令的 prompt（替换 {{args}}、执行 !{...}）后发送给模型
+   */
+  async runCustomCommand(definition, args) {
+    console.log(chalk.gray(`▶ /${definition.name} (${definition.source} command: ${definition.path})`));
+    const prompt = await expandPrompt(definition.prompt, args, {
+      runShell: (command) => this.runCommandShell(command, definition.name),
+    });
+    await this.processMessage(prompt);
+  }
+
+  /**
+   * 执行自定义命令中的 !{...}，和 run_shell_command 一样需要确认（允许列表中的命令除外）
+   * 命令无法执行或被拒绝时中止该命令；执行失败时仍然注入输出和退出码
+   */
+  async runCommandShell(command, commandName) {
+    const result = await this.executeToolCall({
+      name: "run_shell_command",
+      arguments: { command, description: `output is inserted into /${commandName}` },
+    });
+    if (result.exitCode === undefined || result.exitCode === null) {
+      throw new Error(`/${commandName}: ${result.error || `could not run ${command}`}`);
+    }
+
+    let output = result.stdout.trimEnd();
+    if (result.stderr.trim()) {
+      output += `${output ? "\n" : ""}${result.stderr.trimEnd()}`;
     }
+    if (result.exitCode !== 0) {
+      output += `\n[command exited with code ${result.exitCode}]`;
+    }
+    return output;
   }
 
   async processMessage(userInput) {
     try {
       // 将用户输入添加到历史
-      this.history.push({ role: "user", content: userInput });
+      this.addToHistory({ role: "user", content: userInput });
+
+      // 流式模式下边接收边输出
+      const streaming = this.isStreamingEnabled();
+      if (streaming) {
+        process.stdout.write("\n🤖 AI: ");
+      }
 
       // 实际API调用（增强版）
-      const response = await this.callGeminiAPI(userInput);
+      const response = await this.callGeminiAPI(userInput, {
+        onText: streaming ? (delta) => process.stdout.write(delta) : null,
+      });
 
       // 将AI响应添加到历史
-      this.history.push({ role: "assistant", content: response.text });
-
-      // 限制历史记录长度（保留最近的20条消息 + 系统消息）
-      if (this.history.length > 21) {
-        this.history = [
-          this.history[0], // 保留系统消息
-          ...this.history.slice(-20) // 保留最近20条消息
-        ];
-      }
+      this.addToHistory({ role: "assistant", content: response.text });
 
       // 处理响应
-      console.log("\n🤖 AI:", response.text);
+      if (streaming) {
+        process.stdout.write("\n");
+      } else {
+        console.log("\n🤖 AI:", response.text);
+      }
 
       // 如果需要继续思考
       if (response.shouldContinue) {
@@ -200,67 +468,71 @@ export class MiniGeminiClient {
     }
   }
 
-  async callGeminiAPI(message) {
+  /**
+   * 调用模型并处理工具调用
+   * 循环执行模型请求的工具并回传结果，直到模型返回纯文本或用尽步数预算
+   * @param {string} message - 用户消息
+   * @param {Object} options - 可选项
+   * @param {Function} [options.onText] - 流式文本回调，提供时使用流式接口
+   */
+  async callGeminiAPI(message, { onText } = {}) {
     try {
-      // 构建消息历史 - 使用已经更新的历史记录
-      const messages = [
-        { role: "system", content: this.buildSystemPrompt() },
-        ...this.history.slice(1), // 跳过原有的系统消息，使用更新的
-      ];
-
       // 添加工具信息
       const tools = this.toolRegistry.getFunctionDeclarations();
+      const maxSteps = this.getMaxToolSteps();
 
-      const response = await this.apiClient.sendMessage(messages, tools);
+      for (let step = 1; step <= maxSteps; step++) {
+        // 系统提示词包含上下文文件和记忆，每步重新构建并写回历史首条，用量按实际发送的内容估算
+        this.history[0] = { role: "system", content: this.buildSystemPrompt(message) };
 
-      // 处理工具调用
-      if (response.tool_calls) {
-        // 创建工具调用消息的副本，用于API调用
-        const messagesWithTools = [...messages];
-        
-        for (const toolCall of response.tool_calls) {
-          try {
-            const result = await this.toolRegistry.executeTool(
-              toolCall.name,
-              toolCall.arguments
-            );
-
-            // 将工具结果添加到临时消息历史（用于API调用）
-            messagesWithTools.push({
-              role: "assistant",
-              content: null,
-              tool_calls: [toolCall],
-            });
-
-            messagesWithTools.push({
-              role: "tool",
-              content: JSON.stringify(result),
-              tool_call_id: toolCall.id,
-            });
-          } catch (error) {
-            messagesWithTools.push({
-              role: "tool",
-              content: JSON.stringify({ error: error.message }),
-              tool_call_id: toolCall.id,
-            });
-          }
+        // 接近上下文上限时先压缩较早的对话（工具结果可能在步骤之间迅速累积）
+        if (this.contextWindow.shouldCompress(this.history)) {
+          await this.compressHistory();
         }
 
-        // 继续对话，使用工具结果
-        const followUpResponse = await this.apiClient.sendMessage(
-          messagesWithTools,
-          tools
-        );
-        return {
-          text: followUpResponse.text,
-          shouldContinue: false,
-        };
+        // 构建消息历史 - 使用已经更新的历史记录（包含之前步骤的工具结果）
+        const messages = [...this.history];
+
+        const response = await this.requestCompletion(messages, tools, onText);
+
+        // 没有工具调用，说明模型已经给出最终回答
+        if (!response.tool_calls || response.tool_calls.length === 0) {
+          return {
+            text: response.text,
+            shouldContinue:
+              step === 1 &&
+              (message.includes("complex") || message.includes("analyze")),
+          };
+        }
+
+        const toolNames = response.tool_calls.map((call) => call.name).join(", ");
+        console.log(chalk.gray(`\n🔁 Step ${step}/${maxSteps}: ${toolNames}`));
+
+        // 记录工具调用及其结果，供下一步请求使用
+        const assistantMessage = this.addToHistory({
+          role: "assistant",
+          content: response.text || null,
+          tool_calls: response.tool_calls,
+        });
+
+        for (const toolCall of response.tool_calls) {
+          const result = await this.executeToolCall(toolCall, {
+            messageId: assistantMessage.id,
+          });
+          this.addToHistory({
+            role: "tool",
+            name: toolCall.name,
+            content: JSON.stringify(result),
+            tool_call_id: toolCall.id,
+          });
+        }
       }
 
+      const notice = `⚠️ Stopped after ${maxSteps} tool steps without a final answer. Send another message to let the AI continue, or raise the limit with --max-steps / chat.maxToolSteps.`;
+      onText?.(chalk.yellow(`\n${notice}`));
       return {
-        text: response.text,
-        shouldContinue:
-          message.includes("complex") || message.includes("analyze"),
+        text: notice,
+        shouldContinue: false,
       };
     } catch (error) {
       console.error("❌ API Error:", error.message);
@@ -271,28 +543,328 @@ export class MiniGeminiClient {
     }
   }
 
-  buildSystemPrompt() {
+  /**
+   * 执行单个工具调用，错误作为结果返回给模型
+   * 先校验参数，有副作用的工具再征得用户同意，拒绝时返回结构化错误
+   * @param {Object} toolCall - 模型请求的工具调用
+   * @param {Object} [options]
+   * @param {string} [options.messageId] - 发起调用的助手消息，用于关联检查点
+   */
+  async executeToolCall(toolCall, { messageId } = {}) {
+    try {
+      // 提供商无法解析的参数（不完整的 JSON 等）作为工具错误返回，模型可以重试
+      if (toolCall.arguments?.__parseError) {
+        console.log(chalk.yellow(`🚫 ${toolCall.arguments.__parseError}`));
+        return { success: false, error: toolCall.arguments.__parseError, errorType: "invalid_arguments" };
+      }
+
+      const tool = this.toolRegistry.getTool(toolCall.name);
+      if (tool) {
+        // 参数校验（如路径越出工作区）失败时不再询问用户
+        const invalid = tool.validateParams?.(toolCall.arguments || {});
+        if (invalid) {
+          console.log(chalk.yellow(`🚫 ${invalid}`));
+          return { success: false, error: invalid };
+        }
+
+        const approval = await this.approvalManager.requestApproval(
+          tool,
+          toolCall.arguments
+        );
+        if (!approval.approved) {
+          console.log(chalk.yellow(`🚫 ${approval.reason}`));
+          return createDeniedResult(toolCall.name, approval.reason);
+        }
+
+        if (!tool.readOnly && tool.modifiesFiles !== false) {
+          this.createCheckpoint(toolCall, messageId);
+        }
+        this.trackTouchedPath(toolCall.arguments);
+      }
+
+      return await this.runWithCancellation((signal) =>
+        this.toolRegistry.executeTool(toolCall.name, toolCall.arguments, {
+          signal,
+        })
+      );
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * 有副作用的工具执行前为项目文件创建检查点（声明 modifiesFiles = false 的工具除外），失败时只提示，不阻止工具执行
+   */
+  createCheckpoint(toolCall, messageId) {
+    if (!this.checkpointsEnabled) {
+      return;
+    }
+
+    const args = toolCall.arguments || {};
+    const target = args.path || args.command || "";
+    try {
+      const checkpoint = this.serviceManager.getCheckpointService().createCheckpoint({
+        sessionId: this.getSessionService().getCurrentSession()?.id,
+        messageId,
+        toolName: toolCall.name,
+        description: `${toolCall.name}${target ? ` ${target}` : ""}`.slice(0, 200),
+      });
+      console.log(chalk.gray(`📸 Checkpoint ${checkpoint.id} (undo with: /restore ${checkpoint.id})`));
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️ Failed to create checkpoint: ${error.message}`));
+    }
+  }
+
+  /**
+   * restore 命令：不带参数时列出检查点，带 ID 时恢复文件，
+   * 检查点属于当前会话时同时将对话回退到触发它的那条用户消息之前
+   */
+  restoreCheckpoint(id) {
+    const checkpointService = this.serviceManager.getCheckpointService();
+    const sessionService = this.getSessionService();
+    const session = sessionService.getCurrentSession();
+
+    if (!id) {
+      const checkpoints = checkpointService.listCheckpoints({ sessionId: session?.id });
+      if (checkpoints.length === 0) {
+        console.log(chalk.gray("📸 No checkpoints in this session yet."));
+        return;
+      }
+      console.log(chalk.blue("\n📸 Checkpoints (newest first):"));
+      checkpoints.slice(0, 20).forEach((checkpoint) => {
+        const time = new Date(checkpoint.createdAt).toLocaleTimeString();
+        console.log(`  ${chalk.cyan(checkpoint.id)}  ${chalk.gray(time)}  ${checkpoint.description || ""}`);
+      });
+      console.log(chalk.gray("Restore with: /restore <id>"));
+      return;
+    }
+
+    try {
+      const result = checkpointService.restoreCheckpoint(id);
+      console.log(
+        chalk.green(
+          `⏪ Restored files to checkpoint ${result.checkpoint.id}: ${result.restored.length} restored, ${result.removed.length} removed`
+        )
+      );
+
+      const { checkpoint } = result;
+      if (session && checkpoint.sessionId === session.id && checkpoint.messageId) {
+        const { removed, prompt } = sessionService.rewindToMessage(checkpoint.messageId);
+        this.restoreHistory(session.history);
+        console.log(chalk.green(`⏪ Conversation rewound (${removed.length} messages removed)`));
+        if (prompt) {
+          console.log(chalk.gray(`Your prompt was: ${prompt}`));
+        }
+      } else if (checkpoint.sessionId) {
+        console.log(chalk.gray("Checkpoint belongs to another session; only files were restored."));
+      }
+      console.log(chalk.gray(`Undo with: /restore ${result.backup.id}`));
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+    }
+  }
+
+  /**
+   * 执行期间按 Ctrl+C 时通过 AbortSignal 通知工具取消，而不是退出整个程序
+   */
+  async runWithCancellation(run) {
+    const controller = new AbortController();
+    const onInterrupt = () => {
+      console.log(chalk.yellow("\n⏹️ Cancelling tool..."));
+      controller.abort();
+    };
+
+    process.on("SIGINT", onInterrupt);
+    try {
+      return await run(controller.signal);
+    } finally {
+      process.off("SIGINT", onInterrupt);
+    }
+  }
+
+  /**
+   * 单条消息允许的最大工具步数（命令行参数优先于 chat.maxToolSteps 配置）
+   */
+  getMaxToolSteps() {
+    const configService = this.serviceManager.getConfigService();
+    const maxSteps =
+      this.config.maxSteps ?? configService.get("chat.maxToolSteps", 10);
+    return Math.max(1, parseInt(maxSteps, 10) || 10);
+  }
+
+  /**
+   * 发送请求，有回调时走流式接口
+   */
+  async requestCompletion(messages, tools, onText) {
+    if (onText) {
+      return await this.apiClient.sendMessageStream(messages, tools, { onText });
+    }
+    return await this.apiClient.sendMessage(messages, tools);
+  }
+
+  /**
+   * 压缩对话历史，将较早的轮次替换为模型生成的摘要
+   * 只影响发送给模型的上下文，会话文件中仍保留完整记录
+   * @param {Object} options
+   * @param {boolean} [options.force] - 手动触发（compress 命令），未超过阈值也压缩
+   */
+  async compressHistory({ force = false } = {}) {
+    const usage = this.contextWindow.getUsage(this.history);
+    console.log(
+      chalk.gray(
+        `\n🗜️ ${force ? "Compressing" : "Context is getting full, compressing"} history (~${usage.tokens}/${usage.limit} tokens)...`
+      )
+    );
+
+    try {
+      const result = await this.contextWindow.compress(this.history, { force });
+      if (!result.compressed) {
+        console.log(chalk.gray("🗜️ Nothing to compress yet."));
+        return;
+      }
+      this.history = result.history;
+      console.log(
+        chalk.gray(`🗜️ History compressed: ~${result.before} → ~${result.after} tokens`)
+      );
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️ Failed to compress history: ${error.message}`));
+
+      // 已经超出上限时只能丢弃较早的轮次，否则请求必然失败
+      if (this.contextWindow.getUsage(this.history).ratio >= 1) {
+        this.history = this.contextWindow.truncate(this.history);
+        console.log(chalk.yellow("⚠️ Dropped older messages to stay within the context window"));
+      }
+    }
+  }
+
+  /**
+   * 调用模型为一段对话生成摘要
+   */
+  async summarizeMessages(messages) {
+    const response = await this.apiClient.sendMessage(
+      buildSummaryRequest(messages),
+      []
+    );
+    return response.text;
+  }
+
+  /**
+   * 是否启用流式输出（命令行参数优先于 chat.enableStreaming 配置）
+   */
+  isStreamingEnabled() {
+    if (this.config.streaming === false) {
+      return false;
+    }
+    const configService = this.serviceManager.getConfigService();
+    return configService.get("chat.enableStreaming", true) !== false;
+  }
+
+  /**
+   * 构建系统提示词
+   * @param {string} [message] - 当前用户消息，用于选择相关的记忆
+   */
+  buildSystemPrompt(message = "") {
     const toolsInfo = this.toolRegistry.getFunctionDeclarations();
-    const memory = this.getMemory();
+    const memory = this.selectMemories(message);
+    const context = this.loadProjectContext();
     const cwd = this.config.workingDir || process.cwd();
     const apiConfig = this.apiClient.getConfig?.() || {
       provider: "OpenAI",
       model: process.env.OPENAI_MODEL || "gpt-3.5-turbo",
     };
 
-    return `
+    const sections = [
+      `
 You are Mini Gemini, a helpful AI assistant with access to local tools.
 
 Current directory: ${cwd}
 Available tools: ${toolsInfo.length} tools available
-User memory: ${memory.substring(0, 200)}${memory.length > 200 ? "..." : ""}
 
 Guidelines:
 - Use tools when they can help answer the user's question
 - Always provide helpful and accurate responses
 - If you need to use tools, call them directly
 - Keep responses concise but informative
-    `.trim();
+      `.trim(),
+    ];
+
+    if (context.content) {
+      sections.push(
+        `# Project context\nInstructions and background from GEMINI.md context files. Files loaded later are more specific and take precedence.\n\n${context.content}`
+      );
+    }
+    if (memory.selected.length > 0) {
+      const omitted = memory.total - memory.selected.length;
+      sections.push(
+        [
+          "# Saved memories",
+          "Facts saved with save_memory in earlier sessions that are most relevant to the current message (id [scope] text):",
+          ...memory.selected.map(formatMemory),
+          ...(omitted > 0
+            ? [`(${omitted} less relevant memories not shown; use the recall tool to search them)`]
+            : []),
+        ].join("\n")
+      );
+    }
+
+    return sections.join("\n\n");
+  }
+
+  /**
+   * 按与用户消息的相关性选择记忆，总量不超过 memory.maxTokens
+   * 没有相关记忆时按从新到旧的顺序填充
+   * @returns {{selected: Array<Object>, total: number}}
+   */
+  selectMemories(message) {
+    const maxTokens = this.serviceManager
+      .getConfigService()
+      .get("memory.maxTokens", 1000);
+    const ranked = this.serviceManager.getMemoryService().rankMemories(message);
+
+    const selected = [];
+    let tokens = 0;
+    for (const entry of ranked) {
+      const cost = estimateTextTokens(formatMemory(entry));
+      // 放不下的长记忆跳过，继续尝试较短的
+      if (tokens + cost > maxTokens) continue;
+      selected.push(entry);
+      tokens += cost;
+    }
+    return { selected, total: ranked.length };
+  }
+
+  /**
+   * 加载 GEMINI.md 上下文文件，新加载的文件和警告只提示一次
+   */
+  loadProjectContext() {
+    const context = this.serviceManager.getContextService().loadContext({
+      touchedPaths: [...this.touchedPaths],
+    });
+
+    for (const file of context.files) {
+      if (!this.loadedContextFiles.has(file.path)) {
+        this.loadedContextFiles.add(file.path);
+        console.log(chalk.gray(`📄 Loaded context from ${this.serviceManager.getContextService().displayPath(file.path)}`));
+      }
+    }
+    for (const warning of context.warnings) {
+      if (!this.contextWarnings.has(warning)) {
+        this.contextWarnings.add(warning);
+        console.log(chalk.yellow(`⚠️ ${warning}`));
+      }
+    }
+    return context;
+  }
+
+  /**
+   * 记录工具访问的文件或目录
+   */
+  trackTouchedPath(args = {}) {
+    for (const key of ["path", "directory"]) {
+      if (typeof args[key] === "string" && args[key]) {
+        this.touchedPaths.add(args[key]);
+      }
+    }
   }
 
   generateResponse(message, prompt) {
@@ -300,12 +872,19 @@ Guidelines:
     return "I'm ready to help you with real AI capabilities!";
   }
 
-  async getUserInput(prompt) {
+  /**
+   * 读取一行输入
+   * @param {string} prompt - 提示符
+   * @param {Object} [options]
+   * @param {Function} [options.completer] - Tab 补全函数
+   */
+  async getUserInput(prompt, { completer } = {}) {
     // 简单实现，实际中可能使用更复杂的输入处理
     const readline = await import("readline");
     const rl = readline.createInterface({
       input: process.stdin,
       output: process.stdout,
+      ...(completer && { completer }),
     });
 
     return new Promise((resolve) => {
@@ -325,46 +904,155 @@ Guidelines:
     ];
   }
 
-  getMemory() {
-    const memoryPath = join(homedir(), ".gemini-mini", "memory.md");
-    if (existsSync(memoryPath)) {
-      return readFileSync(memoryPath, "utf8");
+  getSessionService() {
+    return this.serviceManager.getSessionService();
+  }
+
+  /**
+   * 创建新会话，或恢复 --resume / --continue 指定的会话
+   */
+  initializeSession() {
+    const sessionService = this.getSessionService();
+
+    if (this.config.resumeSessionId) {
+      try {
+        const session = sessionService.loadSession(this.config.resumeSessionId);
+        this.restoreHistory(session.history);
+        const restored = this.history.length - 1;
+        const trimmed = restored < session.history.length ? `, last ${restored} kept in context` : "";
+        console.log(chalk.green(`💬 Resumed session ${session.id}: ${session.title} (${session.history.length} messages${trimmed})`));
+        return;
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️ ${error.message}, starting a new session`));
+      }
     }
-    return "No memories yet.";
+
+    const apiConfig = this.apiClient.getConfig?.() || {};
+    const session = sessionService.createSession({
+      workingDir: this.config.workingDir || process.cwd(),
+      model: apiConfig.model,
+      context: { provider: apiConfig.provider },
+    });
+    console.log(chalk.gray(`💬 Session: ${session.id}`));
   }
 
-  showHelp() {
+  /**
+   * 用会话中保存的消息重建对话历史
+   */
+  restoreHistory(sessionHistory) {
+    const messages = sessionHistory.map((message) => ({
+      id: message.id,
+      role: message.role,
+      content: message.content,
+      ...(message.tool_calls && { tool_calls: message.tool_calls }),
+      ...(message.tool_call_id && { tool_call_id: message.tool_call_id }),
+      ...(message.name && { name: message.name }),
+    }));
+
+    // 会话历史可能被截断或中断在工具调用中途，丢弃不完整的工具调用
+    while (messages.length > 0 && messages[0].role === "tool") {
+      messages.shift();
+    }
+    while (messages.length > 0 && messages[messages.length - 1].tool_calls) {
+      messages.pop();
+    }
+
+    this.initializeHistory();
+    this.history.push(...messages);
+    this.trimHistory();
+  }
+
+  /**
+   * 将消息加入对话历史，并记录到当前会话
+   */
+  addToHistory(message) {
+    const sessionService = this.getSessionService();
+    if (sessionService.getCurrentSession()) {
+      const { role, content, ...metadata } = message;
+      try {
+        const saved = sessionService.addMessage(role, content, metadata);
+        message = { ...message, id: saved.id };
+      } catch (error) {
+        console.warn(chalk.yellow(`⚠️ Failed to save message to session: ${error.message}`));
+      }
+    }
+    this.history.push(message);
+    // 新一轮开始时按 chat.maxHistoryLength 裁剪发送给模型的历史（会话文件保留完整记录）
+    if (message.role === "user") {
+      this.trimHistory();
+    }
+    return message;
+  }
+
+  trimHistory() {
+    if (this.contextWindow) {
+      this.history = this.contextWindow.trimToLength(this.history);
+    }
+  }
+
+  /**
+   * 显示斜杠命令和工具；指定命令时显示该命令的详细信息
+   */
+  showHelp(name) {
+    if (name) {
+      const command = this.slashCommands.get(name.replace(/^\//, ""));
+      if (!command) {
+        console.log(chalk.yellow(`Unknown command /${name.replace(/^\//, "")}.`));
+        return;
+      }
+      const { usage, description } = this.slashCommands.formatUsage(command);
+      console.log(`\n${chalk.cyan(usage)}\n  ${description}`);
+      if (command.path) {
+        console.log(chalk.gray(`  ${command.source} command defined in ${command.path}`));
+      }
+      return;
+    }
+
     const tools = this.toolRegistry.getAllTools();
+    const builtins = this.slashCommands.list().filter((command) => command.source === "built-in");
+
+    console.log("\n🤖 Mini Gemini Commands:");
+    console.log("Type a message to chat with the AI, or a command (Tab completes command names):");
+    this.printCommandList(builtins);
+    this.showCustomCommands();
 
-    console.log(`
-🤖 Mini Gemini Commands:
-- Type your message to chat with AI
-- "exit" - Quit the application
-- "help" - Show this help message
-- "history" - Show conversation history
-- "clear" - Clear conversation history
-- "status" - Show system status and services info
-- "project" - Show project overview
-- Mention tool names to use them
-- Try "analyze this complex problem" to see recursive thinking
-
-🔧 Available Tools: ${tools.length}
-    `);
+    console.log(`\n🔧 Available Tools: ${tools.length}`);
     tools.forEach((tool) => {
       console.log(`  ${tool.name}: ${tool.description}`);
     });
   }
 
+  showCustomCommands() {
+    const custom = this.slashCommands.list().filter((command) => command.source !== "built-in");
+    if (custom.length === 0) {
+      console.log(chalk.gray("\nNo custom commands. Add .toml files to ~/.gemini-mini/commands or .gemini-mini/commands in the project."));
+      return;
+    }
+    console.log("\n📝 Custom commands:");
+    this.printCommandList(custom, (command) => chalk.gray(` [${command.source}]`));
+  }
+
+  printCommandList(commands, suffix = () => "") {
+    const rows = commands.map((command) => ({ command, ...this.slashCommands.formatUsage(command) }));
+    const width = Math.max(...rows.map((row) => row.usage.length));
+    rows.forEach(({ command, usage, description }) => {
+      console.log(`  ${chalk.cyan(usage.padEnd(width))}  ${description}${suffix(command)}`);
+    });
+  }
+
   showHistory() {
     console.log("\n📜 Conversation History:");
     console.log(`Total messages: ${this.history.length}`);
     
     this.history.forEach((msg, index) => {
       const role = msg.role === 'system' ? '⚙️ System' : 
-                  msg.role === 'user' ? '👤 User' : '🤖 AI';
-      const content = msg.content.length > 100 ? 
-                     msg.content.substring(0, 100) + '...' : 
-                     msg.content;
+                  msg.role === 'user' ? '👤 User' :
+                  msg.role === 'tool' ? `🔧 Tool (${msg.name || 'result'})` : '🤖 AI';
+      const text = msg.content ||
+                   (msg.tool_calls ? `[calls ${msg.tool_calls.map(call => call.name).join(', ')}]` : '');
+      const content = text.length > 100 ? 
+                     text.substring(0, 100) + '...' : 
+                     text;
       console.log(`${index + 1}. ${role}: ${content}`);
     });
     console.log("");
@@ -372,6 +1060,11 @@ Guidelines:
 
   clearHistory() {
     this.initializeHistory();
+
+    const sessionService = this.getSessionService();
+    if (sessionService.getCurrentSession()) {
+      sessionService.clearHistory();
+    }
   }
 
   async showStatus() {
@@ -410,6 +1103,24 @@ Guidelines:
     console.log(`  MCP tools: ${mcpTools.length}`);
     console.log(`  Total: ${tools.length}`);
     
+    // 路径访问控制
+    const policy = this.pathPolicy.getStatus();
+    console.log(`\n🔒 Sandbox:`);
+    console.log(`  Enabled: ${policy.enableSandbox ? '✅' : '❌'}`);
+    console.log(`  Workspace: ${policy.workspaceRoot}`);
+    if (policy.allowedRoots.length > 1) {
+      console.log(`  Allowed paths: ${policy.allowedRoots.slice(1).join(', ')}`);
+    }
+    if (policy.restrictedPaths.length > 0) {
+      console.log(`  Restricted paths: ${policy.restrictedPaths.join(', ')}`);
+    }
+
+    // 上下文用量
+    const usage = this.contextWindow.getUsage(this.history);
+    console.log(`\n🧠 Context:`);
+    console.log(`  Estimated tokens: ~${usage.tokens} / ${usage.limit} (${Math.round(usage.ratio * 100)}%)`);
+    console.log(`  Messages: ${this.history.length}`);
+
     // 会话状态
     const sessionStats = services.session.getSessionStats();
     console.log(`\n💬 Sessions:`);
@@ -470,6 +1181,8 @@ Guidelines:
   }
 
   async runDemo() {
+    await this.ready;
+
     console.log("\n🎯 Running Demo...\n");
 
     const scenarios = [
@@ -495,3 +1208,7 @@ Guidelines:
     }
   }
 }
+
+function formatMemory(entry) {
+  return `- ${entry.id} [${entry.scope}] ${entry.text}`;
+}
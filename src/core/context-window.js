@@ -0,0 +1,272 @@
+/**
+ * CONTEXT WINDOW: 基于 token 估算的对话上下文管理
+ *
+ * 核心功能：
+ * 1. 估算消息历史的 token 数（约 4 个字符 = 1 个 token）
+ * 2. 根据模型上下文上限判断是否需要压缩
+ * 3. 将较早的对话轮次替换为模型生成的摘要，保留最近的轮次
+ * 4. 按消息数限制历史长度（chat.maxHistoryLength），在轮次边界裁剪
+ */
+
+// 已知模型的上下文窗口大小（按前缀匹配，越具体的前缀越靠前）
+const MODEL_CONTEXT_WINDOWS = [
+  ['gemini-1.5-pro', 2097152],
+  ['gemini', 1048576],
+  ['claude', 200000],
+  ['gpt-4.1', 1047576],
+  ['gpt-4o', 128000],
+  ['gpt-4-turbo', 128000],
+  ['gpt-4', 8192],
+  ['gpt-3.5-turbo', 16385],
+  ['gpt-5', 400000],
+  ['o1', 200000],
+  ['o3', 200000],
+  ['o4', 200000],
+];
+
+const DEFAULT_CONTEXT_WINDOW = 32000;
+const CHARS_PER_TOKEN = 4;
+
+// 摘要请求中单条消息的最大字符数，避免摘要请求本身超出上下文
+const MAX_TRANSCRIPT_MESSAGE_CHARS = 4000;
+
+export const SUMMARY_PREFIX = '[Summary of earlier conversation]';
+
+const SUMMARY_PROMPT = `
+You are compressing the history of a conversation between a user and an AI assistant that uses local tools.
+Write a concise summary that lets the assistant continue the work without the original messages.
+
+Include:
+- The user's goals and any requirements or preferences they stated
+- Important facts learned, including file paths, file contents and tool results that are still relevant
+- Decisions made and work already completed
+- Open questions and what remains to be done
+
+Reply with the summary only.
+`.trim();
+
+/**
+ * 估算单条消息的 token 数
+ * @param {Object} message - 内部消息格式
+ * @returns {number}
+ */
+export function estimateMessageTokens(message) {
+  let chars = message.role.length;
+  if (message.content) {
+    chars += typeof message.content === 'string'
+      ? message.content.length
+      : JSON.stringify(message.content).length;
+  }
+  for (const toolCall of message.tool_calls || []) {
+    chars += toolCall.name.length + JSON.stringify(toolCall.arguments ?? {}).length;
+  }
+  return Math.ceil(chars / CHARS_PER_TOKEN);
+}
+
+/**
+ * 估算一段文本的 token 数
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTextTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * 估算消息列表的 token 数
+ * @param {Array} messages - 内部消息格式
+ * @returns {number}
+ */
+export function estimateTokens(messages) {
+  return messages.reduce((total, message) => total + estimateMessageTokens(message), 0);
+}
+
+/**
+ * 按模型名称查找上下文窗口大小
+ * @param {string} model - 模型名称
+ * @returns {number}
+ */
+export function getModelContextWindow(model = '') {
+  const name = model.toLowerCase();
+  const match = MODEL_CONTEXT_WINDOWS.find(([prefix]) => name.startsWith(prefix));
+  return match ? match[1] : DEFAULT_CONTEXT_WINDOW;
+}
+
+export class ContextWindowManager {
+  /**
+   * @param {Object} options
+   * @param {Function} options.summarize - (messages) => Promise<string>，调用模型生成摘要
+   * @param {string} [options.model] - 模型名称，用于查找上下文上限
+   * @param {number} [options.contextWindow] - 上下文上限（token），覆盖按模型查找的结果
+   * @param {number} [options.compressionThreshold] - 超过上限的该比例时自动压缩
+   * @param {number} [options.preserveRatio] - 压缩后原样保留的最近消息所占上限比例
+   * @param {number} [options.maxMessages] - 历史最多保留的消息数（不含系统消息）
+   */
+  constructor({ summarize, model, contextWindow, compressionThreshold = 0.7, preserveRatio = 0.3, maxMessages = 50 } = {}) {
+    this.summarize = summarize;
+    this.contextWindow = contextWindow || getModelContextWindow(model);
+    this.compressionThreshold = compressionThreshold;
+    this.preserveRatio = preserveRatio;
+    this.maxMessages = maxMessages;
+  }
+
+  /**
+   * 获取当前上下文用量
+   * @param {Array} history - 对话历史（首条为系统消息）
+   * @returns {{tokens: number, limit: number, ratio: number}}
+   */
+  getUsage(history) {
+    const tokens = estimateTokens(history);
+    return {
+      tokens,
+      limit: this.contextWindow,
+      ratio: tokens / this.contextWindow
+    };
+  }
+
+  /**
+   * 是否需要自动压缩
+   * @param {Array} history - 对话历史
+   * @returns {boolean}
+   */
+  shouldCompress(history) {
+    return this.getUsage(history).ratio >= this.compressionThreshold && this.canCompress(history);
+  }
+
+  /**
+   * 是否有可压缩的较早轮次（只有当前一轮时无法压缩）
+   * @param {Array} history - 对话历史
+   * @returns {boolean}
+   */
+  canCompress(history) {
+    return this.findSplitIndex(history.slice(1)) > 0;
+  }
+
+  /**
+   * 压缩对话历史：较早的轮次替换为摘要，最近的轮次原样保留
+   * 分割点总是落在用户消息上，保证工具调用和对应的结果不会被拆开
+   * @param {Array} history - 对话历史（首条为系统消息）
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - 手动压缩，除最后一轮外全部替换为摘要
+   * @returns {Promise<{history: Array, compressed: boolean, before: number, after: number}>}
+   */
+  async compress(history, { force = false } = {}) {
+    const before = estimateTokens(history);
+    const [system, ...messages] = history;
+    const splitIndex = this.findSplitIndex(messages, force ? 0 : undefined);
+
+    if (splitIndex <= 0) {
+      return { history, compressed: false, before, after: before };
+    }
+
+    const summary = await this.summarize(messages.slice(0, splitIndex));
+    if (!summary || !summary.trim()) {
+      throw new Error('模型没有返回摘要');
+    }
+
+    const compressedHistory = [
+      system,
+      { role: 'user', content: `${SUMMARY_PREFIX}\n${summary.trim()}` },
+      { role: 'assistant', content: 'Understood. I will continue from this summary.' },
+      ...messages.slice(splitIndex)
+    ];
+
+    return {
+      history: compressedHistory,
+      compressed: true,
+      before,
+      after: estimateTokens(compressedHistory)
+    };
+  }
+
+  /**
+   * 直接丢弃较早的轮次（摘要失败且已超出上限时的兜底方案）
+   * @param {Array} history - 对话历史（首条为系统消息）
+   * @returns {Array} 截断后的历史
+   */
+  truncate(history) {
+    const [system, ...messages] = history;
+    return [system, ...messages.slice(this.findSplitIndex(messages))];
+  }
+
+  /**
+   * 按消息数裁剪历史：超出 maxMessages 时从最早的用户消息开始丢弃整轮，
+   * 保证助手的工具调用和对应的工具结果不会被拆开；最后一轮本身超出上限时仍完整保留
+   * @param {Array} history - 对话历史（首条为系统消息）
+   * @returns {Array} 裁剪后的历史
+   */
+  trimToLength(history) {
+    const [system, ...messages] = history;
+    if (messages.length <= this.maxMessages) {
+      return history;
+    }
+
+    let start = messages.length - this.maxMessages;
+    while (start < messages.length && messages[start].role !== 'user') {
+      start++;
+    }
+    if (start === messages.length) {
+      start = messages.findLastIndex(message => message.role === 'user');
+    }
+    return [system, ...messages.slice(Math.max(start, 0))];
+  }
+
+  /**
+   * 从后往前累计 token，找到保留预算内最早的用户消息作为分割点
+   * 即使最后一轮超出预算，也至少保留最后一条用户消息开始的轮次
+   * @param {Array} messages - 不含系统消息的历史
+   * @param {number} [budget] - 保留部分的 token 预算
+   * @returns {number} 分割下标，0 表示没有可压缩的内容
+   */
+  findSplitIndex(messages, budget = this.contextWindow * this.preserveRatio) {
+    let tokens = 0;
+    let splitIndex = -1;
+
+    for (let i = messages.length - 1; i >= 0; i--) {
+      tokens += estimateMessageTokens(messages[i]);
+      if (messages[i].role !== 'user') {
+        continue;
+      }
+      if (splitIndex !== -1 && tokens > budget) {
+        break;
+      }
+      splitIndex = i;
+    }
+
+    return Math.max(splitIndex, 0);
+  }
+}
+
+/**
+ * 构建摘要请求消息：把待压缩的历史渲染为纯文本记录，
+ * 这样不依赖各提供商对工具调用消息的格式要求
+ * @param {Array} messages - 待压缩的消息
+ * @returns {Array} 发送给模型的消息
+ */
+export function buildSummaryRequest(messages) {
+  const transcript = messages.map(message => {
+    if (message.role === 'tool') {
+      return `[tool result: ${message.name || 'unknown'}]\n${clip(message.content)}`;
+    }
+    const lines = [];
+    if (message.content) {
+      lines.push(`[${message.role}]\n${clip(message.content)}`);
+    }
+    for (const toolCall of message.tool_calls || []) {
+      lines.push(`[${message.role} called ${toolCall.name}] ${clip(JSON.stringify(toolCall.arguments ?? {}))}`);
+    }
+    return lines.join('\n');
+  }).filter(Boolean).join('\n\n');
+
+  return [
+    { role: 'system', content: SUMMARY_PROMPT },
+    { role: 'user', content: `Conversation to summarize:\n\n${transcript}` }
+  ];
+}
+
+function clip(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > MAX_TRANSCRIPT_MESSAGE_CHARS
+    ? `${text.slice(0, MAX_TRANSCRIPT_MESSAGE_CHARS)}\n... [truncated ${text.length - MAX_TRANSCRIPT_MESSAGE_CHARS} characters]`
+    : text;
+}
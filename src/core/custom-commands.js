@@ -0,0 +1,152 @@
+/**
+ * CUSTOM COMMANDS: 从 TOML 文件加载的自定义斜杠命令
+ *
+ * 用户命令：~/.gemini-mini/commands/ 下（包括子目录）的 .toml 文件
+ * 项目命令：<项目根目录>/.gemini-mini/commands/ 下的 .toml 文件（可以提交到仓库，与用户命令同名时优先）
+ * 子目录作为命名空间：git/commit.toml 对应 /git:commit
+ *
+ * 文件格式：
+ *   description = "Draft a test plan"          # 可选
+ *   prompt = """
+ *   Write a test plan for {{args}}.
+ *   Recent changes:
+ *   !{git diff --stat HEAD~1}
+ *   """
+ * {{args}} 替换为命令后的参数（prompt 中没有 {{args}} 时参数追加到末尾），
+ * !{...} 替换为 shell 命令的输出，其中的 {{args}} 会按 shell 规则转义
+ */
+
+import { readFileSync, readdirSync, existsSync, statSync } from 'fs';
+import { join, relative, sep } from 'path';
+import { quote } from 'shell-quote';
+import { parseToml } from '../utils/toml.js';
+
+const ARGS_PLACEHOLDER = '{{args}}';
+const SHELL_START = '!{';
+
+/**
+ * 加载自定义命令，后面目录中的同名命令（不区分大小写）覆盖前面的；
+ * 同一目录中只有大小写不同的命令只保留第一个
+ * @param {Array<{dir: string, source: string}>} locations - 按优先级从低到高排列
+ * @returns {{commands: Array<{name: string, description: string, prompt: string, source: string, path: string}>, warnings: string[]}}
+ */
+export function loadCustomCommands(locations) {
+  const commands = new Map();
+  const warnings = [];
+
+  for (const { dir, source } of locations) {
+    for (const path of findTomlFiles(dir)) {
+      const name = relative(dir, path).replace(/\.toml$/, '').split(sep).join(':');
+      if (!/^[\w-]+(?::[\w-]+)*$/.test(name)) {
+        warnings.push(`忽略命令文件 ${path}: 文件名只能包含字母、数字、- 和 _`);
+        continue;
+      }
+
+      const key = name.toLowerCase();
+      const existing = commands.get(key);
+      if (existing?.source === source) {
+        warnings.push(`自定义命令 /${name}（${path}）与 /${existing.name}（${existing.path}）只有大小写不同，已跳过`);
+        continue;
+      }
+
+      try {
+        const definition = parseToml(readFileSync(path, 'utf8'));
+        if (typeof definition.prompt !== 'string' || !definition.prompt.trim()) {
+          throw new Error('缺少 prompt 字段');
+        }
+        if (definition.description !== undefined && typeof definition.description !== 'string') {
+          throw new Error('description 必须是字符串');
+        }
+        // 提前检查 !{...} 是否成对，避免执行时才发现
+        splitShellBlocks(definition.prompt);
+        commands.set(key, {
+          name,
+          description: definition.description || `Custom command from ${path}`,
+          prompt: definition.prompt,
+          source,
+          path
+        });
+      } catch (error) {
+        warnings.push(`无法加载命令文件 ${path}: ${error.message}`);
+      }
+    }
+  }
+
+  return { commands: [...commands.values()], warnings };
+}
+
+/**
+ * 展开命令模板
+ * @param {string} template - prompt 模板
+ * @param {string} args - 命令参数
+ * @param {Object} options
+ * @param {Function} options.runShell - async (command) => 输出文本
+ * @returns {Promise<string>}
+ */
+export async function expandPrompt(template, args, { runShell }) {
+  const segments = splitShellBlocks(template);
+  let usesArgs = false;
+  let prompt = '';
+
+  for (const segment of segments) {
+    if (segment.type === 'shell') {
+      usesArgs ||= segment.value.includes(ARGS_PLACEHOLDER);
+      const command = segment.value.split(ARGS_PLACEHOLDER).join(args ? quote([args]) : "''").trim();
+      prompt += await runShell(command);
+    } else {
+      usesArgs ||= segment.value.includes(ARGS_PLACEHOLDER);
+      prompt += segment.value.split(ARGS_PLACEHOLDER).join(args);
+    }
+  }
+
+  if (!usesArgs && args) {
+    prompt = `${prompt.trimEnd()}\n\n${args}`;
+  }
+  return prompt.trim();
+}
+
+/**
+ * 将模板拆分为普通文本和 !{...} 命令，命令中的花括号需要成对出现
+ */
+function splitShellBlocks(template) {
+  const segments = [];
+  let textStart = 0;
+  let index = template.indexOf(SHELL_START);
+
+  while (index !== -1) {
+    let depth = 1;
+    let end = index + SHELL_START.length;
+    for (; end < template.length && depth > 0; end++) {
+      if (template[end] === '{') depth++;
+      if (template[end] === '}') depth--;
+    }
+    if (depth > 0) {
+      throw new Error('命令模板中的 !{ 没有对应的 }');
+    }
+
+    segments.push({ type: 'text', value: template.slice(textStart, index) });
+    segments.push({ type: 'shell', value: template.slice(index + SHELL_START.length, end - 1) });
+    textStart = end;
+    index = template.indexOf(SHELL_START, textStart);
+  }
+
+  segments.push({ type: 'text', value: template.slice(textStart) });
+  return segments;
+}
+
+function findTomlFiles(dir) {
+  if (!existsSync(dir) || !statSync(dir).isDirectory()) {
+    return [];
+  }
+
+  const files = [];
+  for (const entry of readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...findTomlFiles(path));
+    } else if (entry.isFile() && entry.name.endsWith('.toml')) {
+      files.push(path);
+    }
+  }
+  return files;
+}
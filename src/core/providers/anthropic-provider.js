@@ -0,0 +1,344 @@
+import chalk from 'chalk';
+import { parseToolArguments } from './tool-arguments.js';
+
+const DEFAULT_ANTHROPIC_BASE_URL = 'https://api.anthropic.com';
+const DEFAULT_ANTHROPIC_MODEL = 'claude-sonnet-4-20250514';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Anthropic Messages API provider
+ * Talks to the HTTP API directly, so any server that speaks the Messages
+ * protocol (including a local stand-in) can be used via ANTHROPIC_BASE_URL.
+ * Supports ANTHROPIC_API_KEY, ANTHROPIC_BASE_URL, CLAUDE_MODEL configuration
+ */
+export class AnthropicProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {string} config.apiKey - API key
+   * @param {string} [config.baseUrl] - API base URL, with or without the /v1 suffix
+   * @param {string} [config.model] - Model name
+   * @param {number} [config.temperature] - Sampling temperature (api.temperature)
+   * @param {number} [config.maxTokens] - Maximum output tokens (api.maxTokens)
+   * @param {number} [config.timeout] - Request timeout in milliseconds (api.timeout)
+   */
+  constructor(config = {}) {
+    this.temperature = config.temperature ?? 0.7;
+    this.maxTokens = config.maxTokens ?? 4000;
+    this.timeout = config.timeout;
+    this.initializeClient(config);
+  }
+
+  initializeClient(config) {
+    const apiKey = config.apiKey;
+    const baseURL = (config.baseUrl || DEFAULT_ANTHROPIC_BASE_URL).replace(/\/+$/, '');
+    const model = config.model || DEFAULT_ANTHROPIC_MODEL;
+
+    if (!apiKey) {
+      throw new Error('ANTHROPIC_API_KEY environment variable is required');
+    }
+
+    this.apiKey = apiKey;
+    this.baseURL = baseURL;
+    this.endpoint = /\/v\d+$/.test(baseURL) ? `${baseURL}/messages` : `${baseURL}/v1/messages`;
+    this.model = model;
+
+    console.log(chalk.blue(`🔧 Configured for Anthropic: ${baseURL} with model ${model}`));
+  }
+
+  /**
+   * Send message to AI and get response
+   * @param {Array} messages - Array of message objects with role and content
+   * @param {Array} tools - Optional array of tool definitions
+   * @returns {Promise<Object>} Response object with text and tool_calls
+   */
+  async sendMessage(messages, tools = []) {
+    try {
+      const response = await this.request(this.buildRequestParams(messages, tools));
+      const data = await response.json();
+
+      if (!Array.isArray(data.content)) {
+        throw new Error('No response from AI');
+      }
+
+      const result = { text: '', tool_calls: [] };
+      for (const block of data.content) {
+        if (block.type === 'text') {
+          result.text += block.text;
+        } else if (block.type === 'tool_use') {
+          result.tool_calls.push({
+            id: block.id,
+            name: block.name,
+            arguments: block.input || {}
+          });
+        }
+      }
+      return result;
+    } catch (error) {
+      console.error('Anthropic API Error:', error.message);
+      throw new Error(`Anthropic API error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send message to AI and stream the response
+   * Text deltas are forwarded to onText as they arrive; tool_use input JSON
+   * fragments are accumulated per content block and returned as tool_calls.
+   * @param {Array} messages - Array of message objects with role and content
+   * @param {Array} tools - Optional array of tool definitions
+   * @param {Object} options - Stream callbacks
+   * @param {Function} [options.onText] - Called with each text delta
+   * @returns {Promise<Object>} Response object with text and tool_calls
+   */
+  async sendMessageStream(messages, tools = [], { onText } = {}) {
+    try {
+      const response = await this.request({
+        ...this.buildRequestParams(messages, tools),
+        stream: true,
+      });
+
+      let text = '';
+      const blocks = [];
+
+      for await (const { event, data } of readServerSentEvents(response.body)) {
+        switch (event) {
+          case 'content_block_start':
+            blocks[data.index] = data.content_block.type === 'tool_use'
+              ? { type: 'tool_use', id: data.content_block.id, name: data.content_block.name, json: '' }
+              : { type: data.content_block.type };
+            if (data.content_block.type === 'text' && data.content_block.text) {
+              text += data.content_block.text;
+              onText?.(data.content_block.text);
+            }
+            break;
+
+          case 'content_block_delta':
+            if (data.delta.type === 'text_delta') {
+              text += data.delta.text;
+              onText?.(data.delta.text);
+            } else if (data.delta.type === 'input_json_delta' && blocks[data.index]) {
+              blocks[data.index].json += data.delta.partial_json;
+            }
+            break;
+
+          case 'error':
+            throw new Error(data.error?.message || 'Stream error');
+        }
+      }
+
+      return {
+        text,
+        tool_calls: blocks
+          .filter(block => block && block.type === 'tool_use')
+          .map(block => ({
+            id: block.id,
+            name: block.name,
+            arguments: parseToolArguments(block.json)
+          }))
+      };
+    } catch (error) {
+      console.error('Anthropic API Error:', error.message);
+      throw new Error(`Anthropic API error: ${error.message}`);
+    }
+  }
+
+  /**
+   * POST a request to the Messages endpoint
+   * @param {Object} body - Request body
+   * @returns {Promise<Response>} Successful fetch response
+   */
+  async request(body) {
+    // The timeout covers waiting for the response to start, not the whole stream
+    const controller = new AbortController();
+    const timer = this.timeout
+      ? setTimeout(() => controller.abort(new Error(`Request timed out after ${this.timeout}ms`)), this.timeout)
+      : null;
+
+    let response;
+    try {
+      response = await fetch(this.endpoint, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          'x-api-key': this.apiKey,
+          'anthropic-version': ANTHROPIC_VERSION,
+        },
+        body: JSON.stringify(body),
+        signal: controller.signal,
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!response.ok) {
+      let message = `${response.status} ${response.statusText}`;
+      try {
+        const data = await response.json();
+        message = `${response.status} ${data.error?.message || response.statusText}`;
+      } catch (error) {
+        // Non-JSON error body, keep the status line
+      }
+      throw new Error(message);
+    }
+
+    return response;
+  }
+
+  /**
+   * Build Messages API request parameters
+   * @param {Array} messages - Array of message objects with role and content
+   * @param {Array} tools - Optional array of tool definitions
+   * @returns {Object} Request body for POST /v1/messages
+   */
+  buildRequestParams(messages, tools = []) {
+    const { system, messages: anthropicMessages } = toAnthropicMessages(messages);
+    const params = {
+      model: this.model,
+      messages: anthropicMessages,
+      max_tokens: this.maxTokens,
+      temperature: this.temperature,
+    };
+
+    if (system) {
+      params.system = system;
+    }
+
+    if (tools && tools.length > 0) {
+      params.tools = tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.parameters || { type: 'object', properties: {} }
+      }));
+    }
+
+    return params;
+  }
+
+  /**
+   * Get current configuration
+   * @returns {Object} Configuration summary
+   */
+  getConfig() {
+    return {
+      provider: 'Anthropic',
+      model: this.model,
+      baseURL: this.baseURL
+    };
+  }
+}
+
+/**
+ * Convert internal messages to Anthropic Messages format
+ * System messages become the top-level system prompt, assistant tool calls
+ * become tool_use blocks and tool results become tool_result blocks.
+ * @param {Array} messages - Internal messages
+ * @returns {{system: string|undefined, messages: Array}}
+ */
+function toAnthropicMessages(messages) {
+  const systemParts = [];
+  const result = [];
+
+  const append = (role, blocks) => {
+    if (blocks.length === 0) return;
+    // The API requires alternating roles, so merge consecutive same-role blocks
+    const last = result[result.length - 1];
+    if (last && last.role === role) {
+      last.content.push(...blocks);
+    } else {
+      result.push({ role, content: blocks });
+    }
+  };
+
+  for (const msg of messages) {
+    const text = typeof msg.content === 'string'
+      ? msg.content
+      : msg.content == null ? '' : JSON.stringify(msg.content);
+
+    switch (msg.role) {
+      case 'system':
+        if (text) systemParts.push(text);
+        break;
+
+      case 'assistant': {
+        const blocks = text ? [{ type: 'text', text }] : [];
+        for (const toolCall of msg.tool_calls || []) {
+          blocks.push({
+            type: 'tool_use',
+            id: toolCall.id,
+            name: toolCall.name,
+            input: toolCall.arguments || {}
+          });
+        }
+        append('assistant', blocks);
+        break;
+      }
+
+      case 'tool':
+        append('user', [{
+          type: 'tool_result',
+          tool_use_id: msg.tool_call_id,
+          content: text,
+          ...(isErrorResult(text) && { is_error: true })
+        }]);
+        break;
+
+      default:
+        if (text) append('user', [{ type: 'text', text }]);
+    }
+  }
+
+  return {
+    system: systemParts.length > 0 ? systemParts.join('\n\n') : undefined,
+    messages: result,
+  };
+}
+
+/**
+ * Tool results that report failure are flagged so the model treats them as errors
+ * @param {string} content - Serialized tool result
+ * @returns {boolean}
+ */
+function isErrorResult(content) {
+  try {
+    const value = JSON.parse(content);
+    return Boolean(value && typeof value === 'object' && (value.error || value.success === false));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Parse a server-sent event stream into { event, data } objects
+ * @param {ReadableStream} body - Response body
+ */
+async function* readServerSentEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const parseEvent = (raw) => {
+    let event = 'message';
+    const dataLines = [];
+    for (const line of raw.split('\n')) {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).trimStart());
+      }
+    }
+    if (dataLines.length === 0) return null;
+    return { event, data: JSON.parse(dataLines.join('\n')) };
+  };
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n');
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const parsed = parseEvent(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      if (parsed) yield parsed;
+    }
+  }
+
+  const parsed = parseEvent(buffer.trim());
+  if (parsed) yield parsed;
+}
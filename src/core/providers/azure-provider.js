@@ -0,0 +1,66 @@
+import { AzureOpenAI } from 'openai';
+import chalk from 'chalk';
+import { OpenAIProvider } from './openai-provider.js';
+
+const DEFAULT_AZURE_API_VERSION = '2024-10-21';
+
+/**
+ * Azure OpenAI provider
+ * Requests are routed to /openai/deployments/{deployment} with the api-version
+ * query parameter and api-key header; message and tool handling is shared
+ * with the OpenAI provider.
+ * Supports AZURE_OPENAI_API_KEY, AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_MODEL,
+ * AZURE_OPENAI_DEPLOYMENT, AZURE_OPENAI_API_VERSION configuration
+ */
+export class AzureOpenAIProvider extends OpenAIProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {string} config.apiKey - API key, sent as the api-key header
+   * @param {string} config.baseUrl - Resource endpoint, e.g. https://my-resource.openai.azure.com
+   * @param {string} [config.deployment] - Deployment name (defaults to config.model)
+   * @param {string} [config.model] - Model name, used as the deployment when none is given
+   * @param {string} [config.apiVersion] - api-version query parameter
+   */
+  initializeClient(config) {
+    const apiKey = config.apiKey;
+    const endpoint = config.baseUrl?.replace(/\/+$/, '').replace(/\/openai$/, '');
+    const deployment = config.deployment || config.model;
+    const apiVersion = config.apiVersion || DEFAULT_AZURE_API_VERSION;
+
+    if (!apiKey) {
+      throw new Error('AZURE_OPENAI_API_KEY environment variable is required');
+    }
+    if (!endpoint) {
+      throw new Error('AZURE_OPENAI_ENDPOINT environment variable is required');
+    }
+    if (!deployment) {
+      throw new Error('AZURE_OPENAI_DEPLOYMENT or AZURE_OPENAI_MODEL environment variable is required');
+    }
+
+    this.client = new AzureOpenAI({
+      apiKey,
+      baseURL: `${endpoint}/openai`,
+      apiVersion,
+      deployment,
+      ...(this.timeout && { timeout: this.timeout }),
+    });
+
+    this.model = deployment;
+    this.apiVersion = apiVersion;
+
+    console.log(chalk.blue(`🔧 Configured for Azure OpenAI: ${endpoint} with deployment ${deployment} (api-version ${apiVersion})`));
+  }
+
+  /**
+   * Get current configuration
+   * @returns {Object} Configuration summary
+   */
+  getConfig() {
+    return {
+      provider: 'Azure OpenAI',
+      model: this.model,
+      baseURL: this.client.baseURL,
+      apiVersion: this.apiVersion
+    };
+  }
+}
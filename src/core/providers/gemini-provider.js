@@ -0,0 +1,266 @@
+import { GoogleGenAI } from '@google/genai';
+import chalk from 'chalk';
+
+const DEFAULT_GEMINI_MODEL = 'gemini-2.5-flash';
+
+/**
+ * Native Gemini provider using the @google/genai SDK
+ * Supports GEMINI_API_KEY, GEMINI_BASE_URL, GEMINI_MODEL configuration
+ */
+export class GeminiProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {string} config.apiKey - API key
+   * @param {string} [config.baseUrl] - API base URL, optionally ending in an API version
+   * @param {string} [config.model] - Model name
+   * @param {number} [config.temperature] - Sampling temperature (api.temperature)
+   * @param {number} [config.maxTokens] - Maximum output tokens (api.maxTokens)
+   * @param {number} [config.timeout] - Request timeout in milliseconds (api.timeout)
+   */
+  constructor(config = {}) {
+    this.temperature = config.temperature ?? 0.7;
+    this.maxTokens = config.maxTokens ?? 4000;
+    this.timeout = config.timeout;
+    this.initializeClient(config);
+  }
+
+  initializeClient(config) {
+    const apiKey = config.apiKey;
+    const model = config.model || DEFAULT_GEMINI_MODEL;
+
+    if (!apiKey) {
+      throw new Error('GEMINI_API_KEY environment variable is required');
+    }
+
+    const httpOptions = {};
+    if (this.timeout) {
+      httpOptions.timeout = this.timeout;
+    }
+    if (config.baseUrl) {
+      // The SDK takes the API version separately from the host; only a whole
+      // final path segment such as /v1 or /v1beta counts as the version
+      const match = config.baseUrl.match(/^(.*?)(?:\/(v\d+(?:alpha|beta)\d*|v\d+))?\/?$/);
+      httpOptions.baseUrl = match[1];
+      if (match[2]) {
+        httpOptions.apiVersion = match[2];
+      }
+    }
+
+    this.client = new GoogleGenAI({ apiKey, httpOptions });
+    this.model = model;
+    this.baseUrl = config.baseUrl || 'https://generativelanguage.googleapis.com';
+
+    console.log(chalk.blue(`🔧 Configured for Gemini: ${this.baseUrl} with model ${model}`));
+  }
+
+  /**
+   * Send message to AI and get response
+   * @param {Array} messages - Array of message objects with role and content
+   * @param {Array} tools - Optional array of tool definitions
+   * @returns {Promise<Object>} Response object with text and tool_calls
+   */
+  async sendMessage(messages, tools = []) {
+    try {
+      const response = await this.client.models.generateContent(
+        this.buildRequestParams(messages, tools)
+      );
+
+      const parts = response.candidates?.[0]?.content?.parts;
+      if (!parts) {
+        throw new Error('No response from AI');
+      }
+
+      const result = { text: '', tool_calls: [] };
+      collectParts(parts, result);
+      return result;
+    } catch (error) {
+      console.error('Gemini API Error:', error.message);
+      throw new Error(`Gemini API error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send message to AI and stream the response
+   * Text parts are forwarded to onText as they arrive; function calls are
+   * collected into tool_calls.
+   * @param {Array} messages - Array of message objects with role and content
+   * @param {Array} tools - Optional array of tool definitions
+   * @param {Object} options - Stream callbacks
+   * @param {Function} [options.onText] - Called with each text delta
+   * @returns {Promise<Object>} Response object with text and tool_calls
+   */
+  async sendMessageStream(messages, tools = [], { onText } = {}) {
+    try {
+      const stream = await this.client.models.generateContentStream(
+        this.buildRequestParams(messages, tools)
+      );
+
+      const result = { text: '', tool_calls: [] };
+      for await (const chunk of stream) {
+        const parts = chunk.candidates?.[0]?.content?.parts;
+        if (parts) {
+          collectParts(parts, result, onText);
+        }
+      }
+      return result;
+    } catch (error) {
+      console.error('Gemini API Error:', error.message);
+      throw new Error(`Gemini API error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build generateContent request parameters
+   * @param {Array} messages - Array of message objects with role and content
+   * @param {Array} tools - Optional array of tool definitions
+   * @returns {Object} Request parameters for models.generateContent
+   */
+  buildRequestParams(messages, tools = []) {
+    const { systemInstruction, contents } = toGeminiContents(messages);
+    const config = {
+      maxOutputTokens: this.maxTokens,
+      temperature: this.temperature,
+    };
+
+    if (systemInstruction) {
+      config.systemInstruction = systemInstruction;
+    }
+
+    if (tools && tools.length > 0) {
+      config.tools = [{
+        functionDeclarations: tools.map(tool => ({
+          name: tool.name,
+          description: tool.description,
+          parametersJsonSchema: tool.parameters || { type: 'object', properties: {} }
+        }))
+      }];
+    }
+
+    return {
+      model: this.model,
+      contents,
+      config,
+    };
+  }
+
+  /**
+   * Get current configuration
+   * @returns {Object} Configuration summary
+   */
+  getConfig() {
+    return {
+      provider: 'Gemini',
+      model: this.model,
+      baseURL: this.baseUrl
+    };
+  }
+}
+
+/**
+ * Convert internal messages to Gemini contents
+ * System messages become the system instruction, assistant tool calls become
+ * functionCall parts and tool results become functionResponse parts.
+ * @param {Array} messages - Internal messages
+ * @returns {{systemInstruction: string|undefined, contents: Array}}
+ */
+function toGeminiContents(messages) {
+  const systemParts = [];
+  const contents = [];
+  const toolNamesById = new Map();
+
+  const append = (role, parts) => {
+    if (parts.length === 0) return;
+    // Gemini expects alternating turns, so merge consecutive same-role content
+    const last = contents[contents.length - 1];
+    if (last && last.role === role) {
+      last.parts.push(...parts);
+    } else {
+      contents.push({ role, parts });
+    }
+  };
+
+  for (const msg of messages) {
+    const text = typeof msg.content === 'string'
+      ? msg.content
+      : msg.content == null ? '' : JSON.stringify(msg.content);
+
+    switch (msg.role) {
+      case 'system':
+        if (text) systemParts.push(text);
+        break;
+
+      case 'assistant': {
+        const parts = text ? [{ text }] : [];
+        for (const toolCall of msg.tool_calls || []) {
+          toolNamesById.set(toolCall.id, toolCall.name);
+          parts.push({
+            functionCall: { name: toolCall.name, args: toolCall.arguments || {} },
+            ...(toolCall.thoughtSignature && { thoughtSignature: toolCall.thoughtSignature })
+          });
+        }
+        append('model', parts);
+        break;
+      }
+
+      case 'tool':
+        append('user', [{
+          functionResponse: {
+            name: msg.name || toolNamesById.get(msg.tool_call_id),
+            response: toFunctionResponse(msg.content)
+          }
+        }]);
+        break;
+
+      default:
+        append('user', [{ text }]);
+    }
+  }
+
+  return {
+    systemInstruction: systemParts.length > 0 ? systemParts.join('\n\n') : undefined,
+    contents,
+  };
+}
+
+/**
+ * Gemini function responses must be JSON objects
+ * @param {string|Object} content - Tool result content
+ * @returns {Object} Function response payload
+ */
+function toFunctionResponse(content) {
+  let value = content;
+  if (typeof content === 'string') {
+    try {
+      value = JSON.parse(content);
+    } catch (error) {
+      value = content;
+    }
+  }
+  return value && typeof value === 'object' && !Array.isArray(value)
+    ? value
+    : { output: value };
+}
+
+/**
+ * Collect text and function calls from response parts
+ * @param {Array} parts - Gemini content parts
+ * @param {Object} result - Accumulator with text and tool_calls
+ * @param {Function} [onText] - Called with each text part
+ */
+function collectParts(parts, result, onText) {
+  for (const part of parts) {
+    if (part.text && !part.thought) {
+      result.text += part.text;
+      onText?.(part.text);
+    }
+
+    if (part.functionCall) {
+      result.tool_calls.push({
+        id: part.functionCall.id || `call_${result.tool_calls.length}_${Date.now()}`,
+        name: part.functionCall.name,
+        arguments: part.functionCall.args || {},
+        ...(part.thoughtSignature && { thoughtSignature: part.thoughtSignature })
+      });
+    }
+  }
+}
@@ -0,0 +1,107 @@
+/**
+ * Provider Registry
+ * Maps provider names (api.provider) to factories that build model clients.
+ * Built-in providers are registered here; third parties can add their own via
+ * registerProvider() or by listing a plugin module in api.providerPlugins.
+ */
+
+import { isAbsolute, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { OpenAIProvider } from './openai-provider.js';
+import { GeminiProvider } from './gemini-provider.js';
+import { AnthropicProvider } from './anthropic-provider.js';
+import { AzureOpenAIProvider } from './azure-provider.js';
+
+/**
+ * Provider factory
+ * @callback ProviderFactory
+ * @param {Object} config - Merged api config (provider, apiKey, baseUrl, model, temperature, maxTokens, timeout, ...)
+ * @returns {Object} Provider implementing sendMessage, sendMessageStream and getConfig
+ */
+
+const providerRegistry = new Map();
+
+/**
+ * Register a provider under one or more names
+ * @param {string} name - Provider name used in api.provider
+ * @param {ProviderFactory|Function} factory - Factory function or provider class
+ * @param {Object} [options]
+ * @param {string[]} [options.aliases] - Additional names for the same provider
+ */
+export function registerProvider(name, factory, { aliases = [] } = {}) {
+  if (typeof factory !== 'function') {
+    throw new Error(`Provider '${name}' must be a class or factory function`);
+  }
+
+  // Classes are wrapped so every entry can be called as factory(config)
+  const create = /^class\s/.test(Function.prototype.toString.call(factory))
+    ? (config) => new factory(config)
+    : factory;
+
+  for (const key of [name, ...aliases]) {
+    providerRegistry.set(key.toLowerCase(), create);
+  }
+}
+
+/**
+ * Check whether a provider is registered
+ * @param {string} name - Provider name
+ * @returns {boolean}
+ */
+export function hasProvider(name) {
+  return Boolean(name) && providerRegistry.has(name.toLowerCase());
+}
+
+/**
+ * List registered provider names
+ * @returns {string[]}
+ */
+export function listProviders() {
+  return Array.from(providerRegistry.keys());
+}
+
+/**
+ * Create a provider from the merged api config
+ * @param {Object} config - api config; config.provider selects the factory
+ * @returns {Object} Provider instance
+ */
+export function createProvider(config = {}) {
+  const name = (config.provider || 'openai').toLowerCase();
+  const create = providerRegistry.get(name);
+  if (!create) {
+    throw new Error(
+      `Unsupported provider: ${config.provider} (available: ${listProviders().join(', ')})`
+    );
+  }
+  return create(config);
+}
+
+/**
+ * Load provider plugin modules
+ * A plugin module's default export (or its `register` export) is called with
+ * `{ registerProvider }`.
+ * @param {string[]} specifiers - Module paths (relative to baseDir) or package names
+ * @param {string} [baseDir] - Directory for resolving relative paths
+ */
+export async function loadProviderPlugins(specifiers = [], baseDir = process.cwd()) {
+  for (const specifier of specifiers) {
+    const isPath = specifier.startsWith('.') || isAbsolute(specifier);
+    const url = isPath ? pathToFileURL(resolve(baseDir, specifier)).href : specifier;
+
+    try {
+      const plugin = await import(url);
+      const register = plugin.default || plugin.register;
+      if (typeof register !== 'function') {
+        throw new Error('plugin must export a register function');
+      }
+      await register({ registerProvider });
+    } catch (error) {
+      throw new Error(`Failed to load provider plugin '${specifier}': ${error.message}`);
+    }
+  }
+}
+
+registerProvider('openai', OpenAIProvider);
+registerProvider('gemini', GeminiProvider);
+registerProvider('claude', AnthropicProvider, { aliases: ['anthropic'] });
+registerProvider('azure', AzureOpenAIProvider);
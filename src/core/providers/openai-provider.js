@@ -0,0 +1,212 @@
+import OpenAI from 'openai';
+import chalk from 'chalk';
+import { parseToolArguments } from './tool-arguments.js';
+
+/**
+ * OpenAI chat-completions provider
+ * Supports OPENAI_API_KEY, OPENAI_BASE_URL, OPENAI_MODEL configuration
+ */
+export class OpenAIProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {string} config.apiKey - API key
+   * @param {string} [config.baseUrl] - API base URL
+   * @param {string} [config.model] - Model name
+   * @param {number} [config.temperature] - Sampling temperature (api.temperature)
+   * @param {number} [config.maxTokens] - Maximum output tokens (api.maxTokens)
+   * @param {number} [config.timeout] - Request timeout in milliseconds (api.timeout)
+   */
+  constructor(config = {}) {
+    this.temperature = config.temperature ?? 0.7;
+    this.maxTokens = config.maxTokens ?? 4000;
+    this.timeout = config.timeout;
+    this.initializeClient(config);
+  }
+
+  initializeClient(config) {
+    const apiKey = config.apiKey;
+    const baseURL = config.baseUrl || 'https://api.openai.com/v1';
+    const model = config.model || 'gpt-3.5-turbo';
+
+    if (!apiKey) {
+      throw new Error('OPENAI_API_KEY environment variable is required');
+    }
+
+    this.client = new OpenAI({
+      apiKey,
+      baseURL,
+      ...(this.timeout && { timeout: this.timeout }),
+    });
+
+    this.model = model;
+    
+    console.log(chalk.blue(`🔧 Configured for OpenAI: ${baseURL} with model ${model}`));
+  }
+
+  /**
+   * Send message to AI and get response
+   * @param {Array} messages - Array of message objects with role and content
+   * @param {Array} tools - Optional array of tool definitions
+   * @returns {Promise<Object>} Response object with text and tool_calls
+   */
+  async sendMessage(messages, tools = []) {
+    try {
+      const response = await this.client.chat.completions.create(
+        this.buildRequestParams(messages, tools)
+      );
+      
+      const message = response.choices[0]?.message;
+      if (!message) {
+        throw new Error('No response from AI');
+      }
+
+      return {
+        text: message.content || '',
+        tool_calls: message.tool_calls?.map(toolCall => ({
+          id: toolCall.id,
+          name: toolCall.function.name,
+          arguments: parseToolArguments(toolCall.function.arguments)
+        })) || []
+      };
+    } catch (error) {
+      console.error('OpenAI API Error:', error.message);
+      throw new Error(`OpenAI API error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send message to AI and stream the response
+   * Text deltas are forwarded to onText as they arrive; tool call fragments
+   * are accumulated by index and returned as complete tool_calls.
+   * @param {Array} messages - Array of message objects with role and content
+   * @param {Array} tools - Optional array of tool definitions
+   * @param {Object} options - Stream callbacks
+   * @param {Function} [options.onText] - Called with each text delta
+   * @returns {Promise<Object>} Response object with text and tool_calls
+   */
+  async sendMessageStream(messages, tools = [], { onText } = {}) {
+    try {
+      const stream = await this.client.chat.completions.create({
+        ...this.buildRequestParams(messages, tools),
+        stream: true,
+      });
+
+      let text = '';
+      const toolCallParts = [];
+
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta;
+        if (!delta) continue;
+
+        if (delta.content) {
+          text += delta.content;
+          onText?.(delta.content);
+        }
+
+        for (const fragment of delta.tool_calls || []) {
+          const part = toolCallParts[fragment.index] ||
+            (toolCallParts[fragment.index] = { id: '', name: '', arguments: '' });
+          if (fragment.id) part.id = fragment.id;
+          if (fragment.function?.name) part.name += fragment.function.name;
+          if (fragment.function?.arguments) part.arguments += fragment.function.arguments;
+        }
+      }
+
+      return {
+        text,
+        tool_calls: toolCallParts.filter(Boolean).map(part => ({
+          id: part.id,
+          name: part.name,
+          arguments: parseToolArguments(part.arguments)
+        }))
+      };
+    } catch (error) {
+      console.error('OpenAI API Error:', error.message);
+      throw new Error(`OpenAI API error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build chat completion request parameters
+   * @param {Array} messages - Array of message objects with role and content
+   * @param {Array} tools - Optional array of tool definitions
+   * @returns {Object} Request parameters for chat.completions.create
+   */
+  buildRequestParams(messages, tools = []) {
+    const params = {
+      model: this.model,
+      messages: messages.map(toOpenAIMessage),
+      max_tokens: this.maxTokens,
+      temperature: this.temperature,
+    };
+
+    if (tools && tools.length > 0) {
+      // Format tools for OpenAI API
+      params.tools = tools.map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters
+        }
+      }));
+      params.tool_choice = 'auto';
+    }
+
+    return params;
+  }
+
+  /**
+   * Get current configuration
+   * @returns {Object} Configuration summary
+   */
+  getConfig() {
+    return {
+      provider: 'OpenAI',
+      model: this.model,
+      baseURL: this.client.baseURL
+    };
+  }
+}
+
+/**
+ * Convert an internal message to the OpenAI chat format
+ * Internal tool calls carry parsed arguments; OpenAI expects a JSON string.
+ * @param {Object} msg - Internal message
+ * @returns {Object} OpenAI chat message
+ */
+function toOpenAIMessage(msg) {
+  // Ensure content is always a string
+  let content = msg.content;
+  if (content !== null && typeof content !== 'string') {
+    content = JSON.stringify(content);
+  }
+
+  if (msg.role === 'assistant' && msg.tool_calls?.length) {
+    return {
+      role: 'assistant',
+      content: content || null,
+      tool_calls: msg.tool_calls.map(toolCall => ({
+        id: toolCall.id,
+        type: 'function',
+        function: {
+          name: toolCall.name,
+          arguments: JSON.stringify(toolCall.arguments || {})
+        }
+      }))
+    };
+  }
+
+  if (msg.role === 'tool') {
+    return {
+      role: 'tool',
+      content: content ?? '',
+      tool_call_id: msg.tool_call_id
+    };
+  }
+
+  return {
+    role: msg.role,
+    content: content ?? ''
+  };
+}
@@ -0,0 +1,23 @@
+/**
+ * Shared parsing of streamed / serialized tool call arguments
+ */
+
+/**
+ * Parse tool call arguments without throwing
+ * Malformed JSON is returned as `{ __parseError }` so the client can report it
+ * to the model as a failed tool call instead of aborting the whole turn.
+ * @param {string} args - Raw JSON arguments from the model
+ * @returns {Object} Parsed arguments, or { __parseError: string }
+ */
+export function parseToolArguments(args) {
+  if (!args) return {};
+  try {
+    const value = JSON.parse(args);
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return { __parseError: `Tool call arguments must be a JSON object, got: ${args}` };
+    }
+    return value;
+  } catch (error) {
+    return { __parseError: `Invalid tool call arguments (${error.message}): ${args}` };
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * SLASH COMMANDS: 对话中的斜杠命令注册中心
+ *
+ * 核心功能：
+ * 1. 以 /name 开头的输入作为命令执行，其余输入（包括 /etc/hosts 这样的路径）发送给模型
+ * 2. 命令别名、用法和帮助信息
+ * 3. Tab 补全：命令名，以及命令自己提供的参数补全
+ */
+
+import { parse } from 'shell-quote';
+
+// 命令名：字母、数字、- 和 _，自定义命令可以用 : 分隔命名空间（如 git:commit）
+const COMMAND_PATTERN = /^\/([\w-]+(?::[\w-]+)*)(?=\s|$)/;
+
+export class SlashCommandRegistry {
+  constructor() {
+    this.commands = new Map();
+    this.aliases = new Map();
+  }
+
+  /**
+   * 注册命令，名称或别名已被占用时报错
+   * @param {Object} command
+   * @param {string} command.name - 命令名（不含 /）
+   * @param {string} command.description - 帮助中显示的说明
+   * @param {string[]} [command.aliases] - 别名
+   * @param {string} [command.usage] - 参数说明，如 "[id]"
+   * @param {string} [command.source] - 来源：built-in、user 或 project
+   * @param {Function} command.action - ({args, argv}) => 返回值由调用方解释
+   * @param {Function} [command.complete] - (partial, argv) => 参数补全候选
+   */
+  register(command) {
+    for (const name of [command.name, ...(command.aliases || [])]) {
+      if (this.get(name)) {
+        throw new Error(`斜杠命令已存在: /${name}`);
+      }
+    }
+    const registered = { aliases: [], source: 'built-in', ...command };
+    this.commands.set(command.name, registered);
+    for (const alias of registered.aliases) {
+      this.aliases.set(alias, command.name);
+    }
+    return registered;
+  }
+
+  /**
+   * 注销命令（用于重新加载自定义命令）
+   */
+  unregister(name) {
+    const command = this.commands.get(name);
+    if (!command) return;
+    this.commands.delete(name);
+    for (const alias of command.aliases) {
+      this.aliases.delete(alias);
+    }
+  }
+
+  /**
+   * 按名称或别名查找命令（不区分大小写）
+   */
+  get(name) {
+    const key = String(name).toLowerCase();
+    const match = [...this.commands.keys()].find(commandName => commandName.toLowerCase() === key);
+    if (match) {
+      return this.commands.get(match);
+    }
+    const alias = [...this.aliases.keys()].find(aliasName => aliasName.toLowerCase() === key);
+    return alias ? this.commands.get(this.aliases.get(alias)) : undefined;
+  }
+
+  /**
+   * 全部命令，按名称排序
+   */
+  list() {
+    return [...this.commands.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * 解析输入，不是斜杠命令时返回 null
+   * @returns {{name: string, args: string, argv: string[]}|null}
+   */
+  parse(input) {
+    const match = input.trim().match(COMMAND_PATTERN);
+    if (!match) {
+      return null;
+    }
+    const args = input.trim().slice(match[0].length).trim();
+    return { name: match[1], args, argv: splitArgs(args) };
+  }
+
+  /**
+   * 执行斜杠命令
+   * @returns {Promise<{handled: boolean, name?: string, command?: Object, result?: any}>}
+   *   不是斜杠命令时 handled 为 false；命令不存在时 command 为 undefined
+   */
+  async execute(input) {
+    const parsed = this.parse(input);
+    if (!parsed) {
+      return { handled: false };
+    }
+    const command = this.get(parsed.name);
+    if (!command) {
+      return { handled: true, name: parsed.name };
+    }
+    const result = await command.action({ args: parsed.args, argv: parsed.argv });
+    return { handled: true, name: parsed.name, command, result };
+  }
+
+  /**
+   * readline 补全函数：输入命令名时补全命令和别名，之后交给命令自己的 complete
+   * @returns {[string[], string]} 候选列表和被补全的部分
+   */
+  complete(line) {
+    if (!line.startsWith('/')) {
+      return [[], line];
+    }
+
+    const space = line.indexOf(' ');
+    if (space === -1) {
+      const names = [...this.commands.keys(), ...this.aliases.keys()].map(name => `/${name}`);
+      const hits = names.filter(name => name.startsWith(line)).sort();
+      return [hits, line];
+    }
+
+    const command = this.get(line.slice(1, space));
+    if (!command?.complete) {
+      return [[], line];
+    }
+    const argv = splitArgs(line.slice(space + 1));
+    const partial = /\s$/.test(line) ? '' : argv.pop() || '';
+    const hits = (command.complete(partial, argv) || []).filter(candidate => candidate.startsWith(partial));
+    return [hits, partial];
+  }
+
+  /**
+   * 帮助文本中的一行："/name <usage>  说明 (aliases: /a, /b)"
+   */
+  formatUsage(command) {
+    const usage = `/${command.name}${command.usage ? ` ${command.usage}` : ''}`;
+    const aliases = command.aliases.length > 0
+      ? ` (aliases: ${command.aliases.map(alias => `/${alias}`).join(', ')})`
+      : '';
+    return { usage, description: `${command.description || ''}${aliases}` };
+  }
+}
+
+/**
+ * 按 shell 规则拆分参数（支持引号），只保留普通单词
+ */
+function splitArgs(args) {
+  return parse(args, (name) => `$${name}`).filter(token => typeof token === 'string');
+}
@@ -0,0 +1,156 @@
+/**
+ * TOOL APPROVAL: 工具执行前的用户确认
+ *
+ * 核心功能：
+ * 1. 只读工具（tool.readOnly === true）直接执行
+ * 2. 有副作用的工具先展示预览（写入显示 diff，MCP 工具显示参数），再询问用户
+ * 3. 支持"允许一次 / 本会话始终允许该工具 / 拒绝"，工具可以不提供"始终允许"（allowAlways: false）
+ */
+
+import chalk from 'chalk';
+
+export const APPROVAL = {
+  ONCE: 'once',
+  ALWAYS: 'always',
+  DENY: 'deny',
+};
+
+export class ToolApprovalManager {
+  /**
+   * @param {Object} options
+   * @param {Function} options.prompt - (question) => Promise<string>，读取用户输入
+   * @param {string[]} [options.autoApprove] - 无需确认的工具名称（tools.autoApprove 配置）
+   */
+  constructor({ prompt, autoApprove = [] }) {
+    this.prompt = prompt;
+    this.alwaysAllowed = new Set(autoApprove);
+  }
+
+  /**
+   * 工具是否需要确认：未声明 readOnly 的工具按有副作用处理
+   */
+  needsApproval(tool) {
+    return tool.readOnly !== true && !this.alwaysAllowed.has(tool.name);
+  }
+
+  /**
+   * 请求执行工具的许可
+   * @param {Object} tool - 工具实例
+   * @param {Object} params - 工具参数
+   * @returns {Promise<{approved: boolean, reason?: string}>}
+   */
+  async requestApproval(tool, params) {
+    if (!this.needsApproval(tool)) {
+      return { approved: true };
+    }
+
+    const details = await this.getConfirmationDetails(tool, params);
+    // 工具判断本次调用没有实际改动，不需要确认
+    if (!details) {
+      return { approved: true };
+    }
+
+    this.showConfirmation(details);
+
+    const alwaysLabel = details.allowAlways === false ? null : details.alwaysLabel || 'always for this tool';
+    const decision = await this.askDecision(alwaysLabel);
+    if (decision === APPROVAL.ALWAYS) {
+      // 工具可以提供更细粒度的"始终允许"（如 shell 工具按命令名记录）
+      if (details.rememberAlways) {
+        details.rememberAlways();
+      } else {
+        this.alwaysAllowed.add(tool.name);
+      }
+      console.log(chalk.gray(`✔ Allowed ${alwaysLabel} for the rest of this session`));
+    }
+
+    if (decision === APPROVAL.DENY) {
+      return { approved: false, reason: `User denied execution of ${tool.name}` };
+    }
+    return { approved: true };
+  }
+
+  /**
+   * 获取预览信息：优先使用工具自己的 getConfirmationDetails，否则显示参数
+   * 预览可包含 title、diff、message、args，以及 alwaysLabel / rememberAlways / allowAlways
+   */
+  async getConfirmationDetails(tool, params) {
+    if (typeof tool.getConfirmationDetails === 'function') {
+      try {
+        return await tool.getConfirmationDetails(params);
+      } catch (error) {
+        // 预览失败（如路径不可读）时仍然让用户看到参数再决定
+        console.log(chalk.gray(`(preview unavailable: ${error.message})`));
+      }
+    }
+    return {
+      title: tool.serverName
+        ? `Run MCP tool ${tool.name} (server: ${tool.serverName})`
+        : `Run ${tool.displayName || tool.name}`,
+      args: params,
+    };
+  }
+
+  showConfirmation(details) {
+    console.log(chalk.yellow(`\n⚠️ ${details.title}`));
+
+    if (details.diff) {
+      console.log(colorizeDiff(details.diff));
+    }
+    if (details.message) {
+      console.log(details.message);
+    }
+    if (details.args) {
+      const entries = Object.entries(details.args);
+      if (entries.length === 0) {
+        console.log(chalk.gray('  (no arguments)'));
+      }
+      for (const [key, value] of entries) {
+        const text = typeof value === 'string' ? value : JSON.stringify(value);
+        console.log(`  ${chalk.cyan(key)}: ${text}`);
+      }
+    }
+  }
+
+  /**
+   * @param {string|null} alwaysLabel - "始终允许"选项的说明，为 null 时不提供该选项
+   */
+  async askDecision(alwaysLabel) {
+    while (true) {
+      const answer = (await this.prompt(
+        alwaysLabel
+          ? `Allow? [y] once / [a] ${alwaysLabel} / [n] deny: `
+          : 'Allow? [y] once / [n] deny: '
+      )).trim().toLowerCase();
+
+      if (answer === 'y' || answer === 'yes') return APPROVAL.ONCE;
+      if (alwaysLabel && (answer === 'a' || answer === 'always')) return APPROVAL.ALWAYS;
+      if (answer === 'n' || answer === 'no' || answer === '') return APPROVAL.DENY;
+      console.log(chalk.gray(alwaysLabel ? 'Please answer y, a or n.' : 'Please answer y or n.'));
+    }
+  }
+}
+
+/**
+ * 工具被拒绝时返回给模型的结构化错误
+ */
+export function createDeniedResult(toolName, reason) {
+  return {
+    success: false,
+    error: reason || `User denied execution of ${toolName}`,
+    errorType: 'permission_denied',
+  };
+}
+
+function colorizeDiff(diff) {
+  return diff
+    .split('\n')
+    .map(line => {
+      if (line.startsWith('+++') || line.startsWith('---')) return chalk.bold(line);
+      if (line.startsWith('@@')) return chalk.cyan(line);
+      if (line.startsWith('+')) return chalk.green(line);
+      if (line.startsWith('-')) return chalk.red(line);
+      return chalk.gray(line);
+    })
+    .join('\n');
+}
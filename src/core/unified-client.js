@@ -1,32 +1,17 @@
-import OpenAI from 'openai';
-import chalk from 'chalk';
+import { createProvider } from './providers/index.js';
 
 /**
- * Unified AI Client using OpenAI SDK
- * Supports OPENAI_API_KEY, OPENAI_BASE_URL, OPENAI_MODEL configuration
+ * Unified AI Client
+ * Routes requests to the provider selected by api.provider (see providers/index.js).
+ * All providers share the same internal message and tool_calls format.
  */
 export class UnifiedAIClient {
-  constructor() {
-    this.initializeClient();
-  }
-
-  initializeClient() {
-    const apiKey = process.env.OPENAI_API_KEY;
-    const baseURL = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
-    const model = process.env.OPENAI_MODEL || 'gpt-3.5-turbo';
-
-    if (!apiKey) {
-      throw new Error('OPENAI_API_KEY environment variable is required');
-    }
-
-    this.client = new OpenAI({
-      apiKey,
-      baseURL,
-    });
-
-    this.model = model;
-    
-    console.log(chalk.blue(`🔧 Configured for OpenAI: ${baseURL} with model ${model}`));
+  /**
+   * @param {Object} config - Merged api config from ConfigService
+   *   ({ provider, apiKey, baseUrl, model, temperature, maxTokens, timeout, ... })
+   */
+  constructor(config) {
+    this.provider = createProvider(config);
   }
 
   /**
@@ -36,57 +21,18 @@ export class UnifiedAIClient {
    * @returns {Promise<Object>} Response object with text and tool_calls
    */
   async sendMessage(messages, tools = []) {
-    try {
-      const params = {
-        model: this.model,
-        messages: messages.map(msg => {
-          // Ensure content is always a string
-          let content = msg.content;
-          if (typeof content !== 'string') {
-            content = JSON.stringify(content);
-          }
-          
-          return {
-            role: msg.role,
-            content: content
-          };
-        }),
-        max_tokens: 4000,
-        temperature: 0.7,
-      };
-
-      if (tools && tools.length > 0) {
-        // Format tools for OpenAI API
-        params.tools = tools.map(tool => ({
-          type: 'function',
-          function: {
-            name: tool.name,
-            description: tool.description,
-            parameters: tool.parameters
-          }
-        }));
-        params.tool_choice = 'auto';
-      }
-
-      const response = await this.client.chat.completions.create(params);
-      
-      const message = response.choices[0]?.message;
-      if (!message) {
-        throw new Error('No response from AI');
-      }
+    return this.provider.sendMessage(messages, tools);
+  }
 
-      return {
-        text: message.content || '',
-        tool_calls: message.tool_calls?.map(toolCall => ({
-          id: toolCall.id,
-          name: toolCall.function.name,
-          arguments: JSON.parse(toolCall.function.arguments || '{}')
-        })) || []
-      };
-    } catch (error) {
-      console.error('OpenAI API Error:', error.message);
-      throw new Error(`OpenAI API error: ${error.message}`);
-    }
+  /**
+   * Send message to AI and stream the response
+   * @param {Array} messages - Array of message objects with role and content
+   * @param {Array} tools - Optional array of tool definitions
+   * @param {Object} options - Stream callbacks ({ onText })
+   * @returns {Promise<Object>} Response object with text and tool_calls
+   */
+  async sendMessageStream(messages, tools = [], options = {}) {
+    return this.provider.sendMessageStream(messages, tools, options);
   }
 
   /**
@@ -94,10 +40,6 @@ export class UnifiedAIClient {
    * @returns {Object} Configuration summary
    */
   getConfig() {
-    return {
-      provider: 'OpenAI',
-      model: this.model,
-      baseURL: this.client.baseURL
-    };
+    return this.provider.getConfig();
   }
-}
\ No newline at end of file
+}
@@ -423,6 +423,20 @@ export class DiscoveredMCPTool {
     this.description = description;
     this.schema = schema;
     this.timeout = timeout;
+    // MCP tools may have arbitrary side effects, so they always need approval
+    this.readOnly = false;
+  }
+
+  /**
+   * Preview shown before the tool runs
+   * @param {Object} params - Tool arguments
+   * @returns {Object} Confirmation details
+   */
+  getConfirmationDetails(params) {
+    return {
+      title: `Run MCP tool ${this.name} (server: ${this.serverName})`,
+      args: params,
+    };
   }
 
   async execute(params) {
@@ -0,0 +1,229 @@
+/**
+ * MINI GEMINI CLI SERVICES: 检查点服务
+ *
+ * 在有副作用的工具执行前为项目文件创建快照，支持回滚
+ * 快照保存在 ~/.gemini-mini/history/<项目哈希> 下的影子 Git 仓库中，
+ * 不会修改用户自己的仓库，非 Git 目录同样适用
+ */
+
+import { execFileSync } from 'child_process';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, realpathSync, unlinkSync } from 'fs';
+import { join, resolve, parse } from 'path';
+import { homedir } from 'os';
+import { createHash } from 'crypto';
+
+const HISTORY_DIR = '.gemini-mini/history';
+const INDEX_FILE = 'checkpoints.json';
+
+// 影子仓库默认排除的文件，项目自己的 .gitignore 同样生效
+const DEFAULT_EXCLUDES = [
+  'node_modules/',
+  '.DS_Store',
+  'Thumbs.db',
+  '*.tmp',
+  '*.temp'
+];
+
+export class CheckpointService {
+  /**
+   * @param {string} projectRoot - 项目根目录
+   * @param {Object} [options]
+   * @param {string} [options.historyDir] - 影子仓库的存放目录
+   */
+  constructor(projectRoot, options = {}) {
+    this.projectRoot = realpathOrResolve(projectRoot);
+    this.projectHash = createHash('sha256').update(this.projectRoot).digest('hex').substring(0, 16);
+    this.gitDir = join(options.historyDir || join(homedir(), HISTORY_DIR), this.projectHash);
+    this.indexPath = join(this.gitDir, INDEX_FILE);
+  }
+
+  /**
+   * 是否可以为该目录创建检查点（家目录和根目录太大，不做快照）
+   */
+  isSupported() {
+    return this.projectRoot !== realpathOrResolve(homedir()) && this.projectRoot !== parse(this.projectRoot).root;
+  }
+
+  /**
+   * 在影子仓库中执行 Git 命令，隔离用户的全局配置和钩子
+   */
+  git(args, options = {}) {
+    try {
+      return execFileSync('git', [
+        '-c', 'core.hooksPath=/dev/null',
+        '-c', 'commit.gpgSign=false',
+        '-c', 'core.autocrlf=false',
+        '-c', 'user.name=Mini Gemini',
+        '-c', 'user.email=checkpoints@mini-gemini.local',
+        ...args
+      ], {
+        cwd: this.projectRoot,
+        encoding: 'utf8',
+        timeout: options.timeout || 60000,
+        maxBuffer: 50 * 1024 * 1024,
+        stdio: ['ignore', 'pipe', 'pipe'],
+        env: {
+          ...process.env,
+          GIT_DIR: this.gitDir,
+          GIT_WORK_TREE: this.projectRoot,
+          GIT_CONFIG_NOSYSTEM: '1',
+          GIT_CONFIG_GLOBAL: '/dev/null',
+          GIT_TERMINAL_PROMPT: '0'
+        }
+      });
+    } catch (error) {
+      const stderr = error.stderr?.toString().trim();
+      throw new Error(`检查点 Git 命令执行失败: ${stderr || error.message}`);
+    }
+  }
+
+  /**
+   * 初始化影子仓库
+   */
+  ensureRepository() {
+    if (existsSync(join(this.gitDir, 'HEAD'))) {
+      return;
+    }
+
+    mkdirSync(this.gitDir, { recursive: true });
+    this.git(['init', '--quiet']);
+    mkdirSync(join(this.gitDir, 'info'), { recursive: true });
+    writeFileSync(join(this.gitDir, 'info', 'exclude'), `${DEFAULT_EXCLUDES.join('\n')}\n`, 'utf8');
+    writeFileSync(join(this.gitDir, 'project'), `${this.projectRoot}\n`, 'utf8');
+  }
+
+  /**
+   * 为当前文件状态创建检查点
+   * @param {Object} options
+   * @param {string} [options.sessionId] - 触发检查点的会话
+   * @param {string} [options.messageId] - 触发检查点的消息（发起工具调用的助手消息）
+   * @param {string} [options.toolName] - 即将执行的工具
+   * @param {string} [options.description] - 描述
+   * @returns {Object} 检查点记录
+   */
+  createCheckpoint(options = {}) {
+    if (!this.isSupported()) {
+      throw new Error(`不为该目录创建检查点: ${this.projectRoot}`);
+    }
+    this.ensureRepository();
+
+    const commit = this.snapshot(options.description || options.toolName || 'checkpoint');
+    const checkpoint = {
+      id: commit.substring(0, 8),
+      commit,
+      createdAt: new Date().toISOString(),
+      sessionId: options.sessionId || null,
+      messageId: options.messageId || null,
+      toolName: options.toolName || null,
+      description: options.description || null
+    };
+
+    // 短哈希冲突时使用完整哈希
+    const checkpoints = this.readIndex();
+    if (checkpoints.some(existing => existing.id === checkpoint.id)) {
+      checkpoint.id = commit;
+    }
+    checkpoints.push(checkpoint);
+    this.writeIndex(checkpoints);
+
+    return checkpoint;
+  }
+
+  /**
+   * 提交工作区的当前状态，返回提交哈希
+   */
+  snapshot(message) {
+    this.git(['add', '--all', '--', '.']);
+    this.git(['commit', '--quiet', '--allow-empty', '--no-verify', '-m', message]);
+    return this.git(['rev-parse', 'HEAD']).trim();
+  }
+
+  /**
+   * 列出检查点，最新的在前
+   * @param {Object} [filter]
+   * @param {string} [filter.sessionId] - 只列出该会话的检查点
+   */
+  listCheckpoints(filter = {}) {
+    return this.readIndex()
+      .filter(checkpoint => !filter.sessionId || checkpoint.sessionId === filter.sessionId)
+      .reverse();
+  }
+
+  /**
+   * 按 ID（或唯一前缀）查找检查点
+   */
+  getCheckpoint(id) {
+    const checkpoints = this.readIndex();
+    const exact = checkpoints.find(checkpoint => checkpoint.id === id);
+    if (exact) {
+      return exact;
+    }
+
+    const matches = checkpoints.filter(checkpoint => checkpoint.id.startsWith(id));
+    if (matches.length === 0) {
+      throw new Error(`检查点不存在: ${id}`);
+    }
+    if (matches.length > 1) {
+      throw new Error(`检查点 ID 不唯一: ${id}（匹配 ${matches.map(checkpoint => checkpoint.id).join(', ')}）`);
+    }
+    return matches[0];
+  }
+
+  /**
+   * 将项目文件恢复到检查点时的状态
+   * 恢复前先为当前状态创建检查点，之后新建的文件会被删除，被忽略的文件不受影响
+   * @returns {{checkpoint: Object, backup: Object, restored: string[], removed: string[]}}
+   */
+  restoreCheckpoint(id) {
+    const checkpoint = this.getCheckpoint(id);
+    const backup = this.createCheckpoint({ description: `Before restoring ${checkpoint.id}` });
+
+    const changed = this.git(['diff', '--name-status', '--no-renames', '-z', checkpoint.commit, backup.commit])
+      .split('\0')
+      .filter(Boolean);
+
+    const restored = [];
+    const removed = [];
+    for (let i = 0; i < changed.length; i += 2) {
+      const [status, file] = [changed[i], changed[i + 1]];
+      if (status === 'A') {
+        // 检查点之后新建的文件
+        unlinkSync(join(this.projectRoot, file));
+        removed.push(file);
+      } else {
+        restored.push(file);
+      }
+    }
+
+    if (restored.length > 0) {
+      // 检出检查点中的全部文件，未变化的文件内容相同，不受影响
+      this.git(['checkout', checkpoint.commit, '--', '.']);
+    }
+
+    return { checkpoint, backup, restored, removed };
+  }
+
+  readIndex() {
+    if (!existsSync(this.indexPath)) {
+      return [];
+    }
+    try {
+      return JSON.parse(readFileSync(this.indexPath, 'utf8'));
+    } catch (error) {
+      console.warn('无法读取检查点索引:', error.message);
+      return [];
+    }
+  }
+
+  writeIndex(checkpoints) {
+    writeFileSync(this.indexPath, JSON.stringify(checkpoints, null, 2), 'utf8');
+  }
+}
+
+function realpathOrResolve(path) {
+  try {
+    return realpathSync(resolve(path));
+  } catch (error) {
+    return resolve(path);
+  }
+}
@@ -7,6 +7,7 @@
 import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
 import { join } from 'path';
 import { homedir } from 'os';
+import { configLoader } from '../utils/config-loader.js';
 
 const CONFIG_DIR = '.gemini-mini';
 const CONFIG_FILE = 'config.json';
@@ -31,29 +32,53 @@ export class ConfigService {
    */
   getDefaultConfig() {
     return {
-      // API 配置
+      // API 配置（baseUrl/model 为空时使用提供商默认值）
       api: {
         provider: 'openai',
-        baseUrl: 'https://dashscope.aliyuncs.com/compatible-mode/v1',
-        model: 'qwen3-coder-plus',
+        baseUrl: null,
+        model: null,
         temperature: 0.7,
         maxTokens: 4096,
-        timeout: 30000
+        timeout: 30000,
+        // 第三方提供商插件模块（路径或包名，相对路径基于 ~/.gemini-mini），只读取用户配置
+        providerPlugins: []
       },
       
       // 聊天配置
       chat: {
+        // 发送给模型的历史最多保留的消息数（按轮次裁剪，会话文件保留完整记录）
         maxHistoryLength: 50,
         autoSave: true,
         showTimestamps: true,
-        enableStreaming: true
+        enableStreaming: true,
+        maxToolSteps: 10,
+        contextWindow: null,
+        compressionThreshold: 0.7
       },
       
       // 工具配置
       tools: {
         enableLocalTools: true,
         enableMcpTools: true,
-        toolTimeout: 30000
+        toolTimeout: 30000,
+        maxOutputBytes: 65536,
+        autoApprove: []
+      },
+      
+      // 检查点配置（有副作用的工具执行前为项目文件创建快照）
+      checkpointing: {
+        enabled: true
+      },
+      
+      // 记忆配置（每次请求按相关性选择记忆加入系统提示词的 token 上限）
+      memory: {
+        maxTokens: 1000
+      },
+      
+      // 上下文文件配置（GEMINI.md 的文件名和合并后的大小上限）
+      context: {
+        fileName: 'GEMINI.md',
+        maxBytes: 65536
       },
       
       // MCP 配置
@@ -93,8 +118,9 @@ export class ConfigService {
       
       // 安全配置
       security: {
-        enableSandbox: false,
+        enableSandbox: true,
         allowedCommands: [],
+        allowedPaths: [],
         restrictedPaths: []
       }
     };
@@ -115,11 +141,14 @@ export class ConfigService {
   loadConfig() {
     // 加载默认配置
     this.config = { ...this.defaultConfig };
+    // 配置文件中显式指定的提供商
+    this.configuredProvider = null;
     
     // 加载用户全局配置
     if (existsSync(this.configPath)) {
       try {
         const userConfig = JSON.parse(readFileSync(this.configPath, 'utf8'));
+        this.configuredProvider = userConfig.api?.provider || this.configuredProvider;
         this.config = this.mergeConfig(this.config, userConfig);
       } catch (error) {
         console.warn('加载用户配置失败:', error.message);
@@ -130,7 +159,7 @@ export class ConfigService {
     if (existsSync(this.projectConfigPath)) {
       try {
         const projectConfig = JSON.parse(readFileSync(this.projectConfigPath, 'utf8'));
-        this.config = this.mergeConfig(this.config, projectConfig);
+        this.config = this.mergeConfig(this.config, this.restrictProjectSecurity(projectConfig));
       } catch (error) {
         console.warn('加载项目配置失败:', error.message);
       }
@@ -146,18 +175,18 @@ export class ConfigService {
   loadEnvironmentConfig() {
     const envConfig = {};
     
-    // API 配置
-    if (process.env.GEMINI_API_KEY) {
-      envConfig.api = { ...envConfig.api, apiKey: process.env.GEMINI_API_KEY };
-    }
-    if (process.env.OPENAI_API_KEY) {
-      envConfig.api = { ...envConfig.api, apiKey: process.env.OPENAI_API_KEY };
-    }
-    if (process.env.OPENAI_BASE_URL) {
-      envConfig.api = { ...envConfig.api, baseUrl: process.env.OPENAI_BASE_URL };
+    // API 配置：MINI_GEMINI_PROVIDER 或配置文件指定了提供商时只读取该提供商的变量，
+    // 否则按 ConfigLoader 的顺序检测（环境变量与 shell 配置文件）
+    const preferredProvider = process.env.MINI_GEMINI_PROVIDER || this.configuredProvider;
+    const detected = configLoader.detectProvider(preferredProvider);
+    const provider = preferredProvider || detected?.provider;
+    
+    // 切换到其他提供商时，不沿用为原提供商配置的地址和模型
+    if (provider && provider !== this.config.api.provider) {
+      envConfig.api = { provider, baseUrl: null, model: null };
     }
-    if (process.env.OPENAI_MODEL) {
-      envConfig.api = { ...envConfig.api, model: process.env.OPENAI_MODEL };
+    if (detected) {
+      envConfig.api = { ...envConfig.api, ...detected, provider };
     }
     
     // 调试模式
@@ -171,6 +200,48 @@ export class ConfigService {
     }
   }
 
+  /**
+   * 项目配置随仓库分发，只能收紧安全设置：
+   * 忽略关闭沙箱以及放宽 allowedPaths / allowedCommands / tools.autoApprove 的配置，
+   * 也忽略 api.providerPlugins（插件会被 import 执行）以及 api.provider / api.baseUrl
+   * （API Key 来自用户的环境变量，不能让仓库把请求指向其他地址），这些只能在用户配置或环境变量中指定
+   */
+  restrictProjectSecurity(projectConfig) {
+    let restricted = projectConfig;
+
+    if (projectConfig.api) {
+      const { providerPlugins, provider, baseUrl, ...api } = projectConfig.api;
+      if (providerPlugins !== undefined) {
+        console.warn(`项目配置不能加载提供商插件，已忽略 api.providerPlugins，请在 ${this.configPath} 中配置`);
+      }
+      if (provider !== undefined || baseUrl !== undefined) {
+        console.warn(`项目配置不能更改 API 提供商和地址，已忽略 api.provider / api.baseUrl，请在 ${this.configPath} 或环境变量中配置`);
+      }
+      restricted = { ...restricted, api };
+    }
+
+    if (projectConfig.tools?.autoApprove !== undefined) {
+      const { autoApprove, ...tools } = projectConfig.tools;
+      console.warn(`项目配置不能跳过工具确认，已忽略 tools.autoApprove，请在 ${this.configPath} 中配置`);
+      restricted = { ...restricted, tools };
+    }
+
+    if (!projectConfig.security) {
+      return restricted;
+    }
+
+    const { enableSandbox, allowedPaths, allowedCommands, ...security } = projectConfig.security;
+    if (enableSandbox === false || allowedPaths || allowedCommands) {
+      console.warn('项目配置不能放宽安全限制，已忽略 security.enableSandbox / allowedPaths / allowedCommands');
+    }
+    // 开启沙箱属于收紧，保留
+    if (enableSandbox === true) {
+      security.enableSandbox = true;
+    }
+
+    return { ...restricted, security };
+  }
+
   /**
    * 深度合并配置对象
    */
@@ -280,12 +351,8 @@ export class ConfigService {
       errors.push('缺少 API Key 配置');
     }
     
-    if (!this.config.api.baseUrl) {
-      errors.push('缺少 API Base URL 配置');
-    }
-    
-    if (!this.config.api.model) {
-      errors.push('缺少模型配置');
+    if (!this.config.api.provider) {
+      errors.push('缺少 API 提供商配置');
     }
     
     // 验证数值范围
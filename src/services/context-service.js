@@ -0,0 +1,239 @@
+/**
+ * MINI GEMINI CLI SERVICES: 上下文文件服务
+ *
+ * 发现并合并 GEMINI.md 上下文文件，加入系统提示词：
+ * 1. 全局文件 ~/.gemini-mini/GEMINI.md
+ * 2. 从项目根目录到工作目录每一级的 GEMINI.md
+ * 3. 工具访问过的文件所在目录（项目根目录以内）中的 GEMINI.md
+ * 支持 @path/to/file.md 导入（循环检测、深度限制），合并结果受总大小预算限制
+ */
+
+import { readFileSync, existsSync, statSync, realpathSync } from 'fs';
+import { join, resolve, dirname, relative, isAbsolute, sep } from 'path';
+import { homedir } from 'os';
+
+const GLOBAL_DIR = '.gemini-mini';
+const DEFAULT_FILE_NAME = 'GEMINI.md';
+const DEFAULT_MAX_BYTES = 64 * 1024;
+const MAX_IMPORT_DEPTH = 5;
+
+// 行首或空白后的 @路径，只导入 Markdown 文件，避免误把邮箱、装饰器当作导入
+const IMPORT_PATTERN = /(^|\s)@((?:~\/|\.{1,2}\/|\/)?[\w.\-/]*[\w-]\.md)(?=$|[\s),.;:!?])/g;
+
+export class ContextService {
+  /**
+   * @param {Object} options
+   * @param {string} options.workingDir - 工作目录
+   * @param {string} [options.fileName] - 上下文文件名
+   * @param {number} [options.maxBytes] - 合并后内容的最大字节数
+   * @param {string} [options.globalDir] - 全局配置目录
+   */
+  constructor({ workingDir, fileName = DEFAULT_FILE_NAME, maxBytes = DEFAULT_MAX_BYTES, globalDir } = {}) {
+    this.workingDir = realpathOrResolve(workingDir || process.cwd());
+    this.fileName = fileName;
+    this.maxBytes = maxBytes;
+    this.globalDir = realpathOrResolve(globalDir || join(homedir(), GLOBAL_DIR));
+    this.projectRoot = findProjectRoot(this.workingDir);
+  }
+
+  /**
+   * 按优先级从低到高列出要加载的上下文文件
+   * @param {string[]} [touchedPaths] - 工具访问过的文件或目录
+   * @returns {Array<{path: string, scope: string}>}
+   */
+  discoverFiles(touchedPaths = []) {
+    const files = [];
+    const seen = new Set();
+    const add = (path, scope) => {
+      if (!existsSync(path) || !statSync(path).isFile()) return;
+      const real = realpathOrResolve(path);
+      if (seen.has(real)) return;
+      seen.add(real);
+      files.push({ path: real, scope });
+    };
+
+    add(join(this.globalDir, this.fileName), 'global');
+
+    // 项目根目录到工作目录
+    for (const dir of ancestorsBetween(this.projectRoot, this.workingDir)) {
+      add(join(dir, this.fileName), 'project');
+    }
+
+    // 被访问文件所在目录（及其到项目根目录之间）的 GEMINI.md
+    for (const touched of touchedPaths) {
+      const absolute = realpathOrResolve(resolve(this.workingDir, touched));
+      const dir = existsSync(absolute) && statSync(absolute).isDirectory() ? absolute : dirname(absolute);
+      if (!isInside(dir, this.projectRoot)) continue;
+      for (const ancestor of ancestorsBetween(this.projectRoot, dir)) {
+        add(join(ancestor, this.fileName), 'subdirectory');
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * 加载并合并上下文文件
+   * @param {Object} [options]
+   * @param {string[]} [options.touchedPaths] - 工具访问过的文件或目录
+   * @returns {{content: string, files: Array<{path: string, scope: string, bytes: number, imports: string[]}>, bytes: number, truncated: boolean, warnings: string[]}}
+   */
+  loadContext({ touchedPaths = [] } = {}) {
+    const warnings = [];
+    const files = [];
+    const sections = [];
+    let bytes = 0;
+    let truncated = false;
+
+    for (const file of this.discoverFiles(touchedPaths)) {
+      const imports = [];
+      let content;
+      try {
+        content = this.expandImports(readFileSync(file.path, 'utf8'), file.path, [file.path], imports, warnings).trim();
+      } catch (error) {
+        warnings.push(`无法读取 ${file.path}: ${error.message}`);
+        continue;
+      }
+      if (!content) continue;
+
+      const label = this.displayPath(file.path);
+      let section = `--- Context from: ${label} ---\n${content}\n--- End of context from: ${label} ---`;
+      const sectionBytes = Buffer.byteLength(section);
+
+      if (bytes + sectionBytes > this.maxBytes) {
+        truncated = true;
+        const remaining = this.maxBytes - bytes;
+        if (remaining < 200) {
+          warnings.push(`超出上下文大小限制，已跳过 ${label}`);
+          continue;
+        }
+        section = `${truncateBytes(section, remaining - 100)}\n... (truncated)\n--- End of context from: ${label} ---`;
+        warnings.push(`超出上下文大小限制，已截断 ${label}`);
+      }
+
+      sections.push(section);
+      bytes += Buffer.byteLength(section);
+      files.push({ path: file.path, scope: file.scope, bytes: Buffer.byteLength(content), imports });
+    }
+
+    return { content: sections.join('\n\n'), files, bytes, truncated, warnings };
+  }
+
+  /**
+   * 展开 @path 导入，代码块和行内代码中的 @ 不处理
+   * @param {string[]} stack - 当前导入链（用于循环检测）
+   */
+  expandImports(content, filePath, stack, imports, warnings) {
+    let inFence = false;
+
+    return content.split('\n').map(line => {
+      if (/^\s*(```|~~~)/.test(line)) {
+        inFence = !inFence;
+        return line;
+      }
+      if (inFence) {
+        return line;
+      }
+
+      // 行内代码片段原样保留
+      return line.split(/(`[^`]*`)/).map(part => {
+        if (part.startsWith('`')) return part;
+        return part.replace(IMPORT_PATTERN, (match, prefix, importPath) =>
+          prefix + this.resolveImport(importPath, filePath, stack, imports, warnings)
+        );
+      }).join('');
+    }).join('\n');
+  }
+
+  resolveImport(importPath, fromFile, stack, imports, warnings) {
+    const target = importPath.startsWith('~/')
+      ? join(homedir(), importPath.slice(2))
+      : resolve(dirname(fromFile), importPath);
+    const label = this.displayPath(target);
+
+    if (!existsSync(target)) {
+      warnings.push(`导入的文件不存在: ${label}（来自 ${this.displayPath(fromFile)}）`);
+      return `<!-- Import failed: ${importPath} not found -->`;
+    }
+
+    const real = realpathOrResolve(target);
+    if (!isInside(real, this.projectRoot) && !isInside(real, this.globalDir)) {
+      warnings.push(`只能导入项目或 ${this.globalDir} 中的文件: ${label}`);
+      return `<!-- Import skipped: ${importPath} is outside the project -->`;
+    }
+    if (stack.includes(real)) {
+      warnings.push(`检测到循环导入: ${[...stack, real].map(path => this.displayPath(path)).join(' -> ')}`);
+      return `<!-- Import skipped: circular import of ${importPath} -->`;
+    }
+    if (stack.length > MAX_IMPORT_DEPTH) {
+      warnings.push(`导入层级超过 ${MAX_IMPORT_DEPTH}: ${label}`);
+      return `<!-- Import skipped: ${importPath} is nested too deeply -->`;
+    }
+
+    imports.push(real);
+    const content = this.expandImports(readFileSync(real, 'utf8'), real, [...stack, real], imports, warnings).trim();
+    return `<!-- Imported from: ${label} -->\n${content}\n<!-- End of import from: ${label} -->`;
+  }
+
+  /**
+   * 项目内的文件显示相对路径，其他文件显示 ~ 缩写的绝对路径
+   */
+  displayPath(path) {
+    if (isInside(path, this.projectRoot)) {
+      return relative(this.projectRoot, path) || path;
+    }
+    const home = homedir();
+    return isInside(path, home) ? `~${sep}${relative(home, path)}` : path;
+  }
+}
+
+/**
+ * 向上查找包含 .git 的目录作为项目根目录，找不到时使用工作目录
+ */
+function findProjectRoot(workingDir) {
+  let dir = workingDir;
+  while (true) {
+    if (existsSync(join(dir, '.git'))) {
+      return dir;
+    }
+    const parent = dirname(dir);
+    if (parent === dir) {
+      return workingDir;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * 从 from 到 to（包含两端）的每一级目录，to 必须在 from 之内
+ */
+function ancestorsBetween(from, to) {
+  const dirs = [from];
+  const rel = relative(from, to);
+  if (!rel) return dirs;
+
+  let current = from;
+  for (const segment of rel.split(sep)) {
+    current = join(current, segment);
+    dirs.push(current);
+  }
+  return dirs;
+}
+
+function isInside(path, dir) {
+  const rel = relative(dir, path);
+  return rel === '' || (!rel.startsWith('..') && !isAbsolute(rel));
+}
+
+function truncateBytes(text, maxBytes) {
+  const buffer = Buffer.from(text);
+  return buffer.length <= maxBytes ? text : buffer.subarray(0, maxBytes).toString('utf8').replace(/\uFFFD$/, '');
+}
+
+function realpathOrResolve(path) {
+  try {
+    return realpathSync(resolve(path));
+  } catch (error) {
+    return resolve(path);
+  }
+}
@@ -2,154 +2,295 @@
  * MINI GEMINI CLI SERVICES: 文件发现服务
  * 
  * 提供文件过滤、发现和管理功能
- * 基于 .gitignore 和 .geminiignore 进行智能过滤
+ * 基于 .gitignore 和 .geminiignore 进行智能过滤（与 git 相同的规则，支持子目录中的忽略文件）
  */
 
-import { readFileSync, existsSync } from 'fs';
-import { join, resolve, relative } from 'path';
+import { readFileSync, readdirSync, statSync, openSync, readSync, closeSync } from 'fs';
+import { join, resolve, relative, isAbsolute, sep } from 'path';
 import { glob } from 'glob';
+import { IgnoreMatcher, parseIgnoreRules, globToRegex } from '../utils/gitignore.js';
 
+const GIT_IGNORE_FILE = '.gitignore';
 const GEMINI_IGNORE_FILE = '.geminiignore';
+// 判断二进制文件时检查的字节数
+const BINARY_SNIFF_BYTES = 8192;
+
+// 默认忽略的文件/目录（gitignore 语法，可被项目规则取反）
+const DEFAULT_IGNORES = [
+  'node_modules/',
+  '.git/',
+  '.DS_Store',
+  'Thumbs.db',
+  '*.tmp',
+  '*.temp'
+];
 
 export class FileService {
   constructor(projectRoot) {
     this.projectRoot = resolve(projectRoot);
-    this.gitIgnorePatterns = this.loadGitIgnorePatterns();
-    this.geminiIgnorePatterns = this.loadGeminiIgnorePatterns();
+    // 按目录加载 .gitignore 和 .geminiignore，同一目录中 .geminiignore 优先
+    this.ignoreMatcher = new IgnoreMatcher(this.projectRoot, {
+      fileNames: [GIT_IGNORE_FILE, GEMINI_IGNORE_FILE],
+      defaultPatterns: DEFAULT_IGNORES
+    });
+    // 项目外的路径只应用默认规则
+    this.defaultMatcher = new IgnoreMatcher(sep, { fileNames: [], defaultPatterns: DEFAULT_IGNORES });
   }
 
   /**
-   * 加载 .gitignore 规则
+   * 检查文件或目录是否应该被忽略
+   * @param {string} filePath - 文件路径
+   * @param {Object} options
+   * @param {boolean} [options.isDirectory] - 路径是否为目录，未指定时读取文件系统判断
    */
-  loadGitIgnorePatterns() {
-    const gitIgnorePath = join(this.projectRoot, '.gitignore');
-    if (!existsSync(gitIgnorePath)) {
-      return [];
+  shouldIgnoreFile(filePath, options = {}) {
+    const { respectGitIgnore = true, respectGeminiIgnore = true } = options;
+    const absolutePath = resolve(this.projectRoot, filePath);
+    const isDirectory = options.isDirectory ?? isDirectoryPath(absolutePath);
+    const relativePath = relative(this.projectRoot, absolutePath);
+    
+    if (relativePath === '') {
+      return false;
     }
     
-    try {
-      const content = readFileSync(gitIgnorePath, 'utf8');
-      return this.parseIgnoreFile(content);
-    } catch (error) {
-      console.warn('无法读取 .gitignore:', error.message);
-      return [];
+    if (relativePath.startsWith('..') || isAbsolute(relativePath)) {
+      return this.defaultMatcher.ignores(toPosix(absolutePath), { isDirectory });
     }
+    
+    const sources = ['default'];
+    if (respectGitIgnore) sources.push(GIT_IGNORE_FILE);
+    if (respectGeminiIgnore) sources.push(GEMINI_IGNORE_FILE);
+    
+    return this.ignoreMatcher.ignores(toPosix(relativePath), { isDirectory, sources });
   }
 
   /**
-   * 加载 .geminiignore 规则
+   * 检查文件路径是否匹配忽略模式（gitignore 语法，最后匹配的规则生效）
    */
-  loadGeminiIgnorePatterns() {
-    const geminiIgnorePath = join(this.projectRoot, GEMINI_IGNORE_FILE);
-    if (!existsSync(geminiIgnorePath)) {
-      return [];
+  matchesPatterns(filePath, patterns, options = {}) {
+    let matched = false;
+    for (const rule of parseIgnoreRules(patterns.join('\n'))) {
+      if (rule.dirOnly && !options.isDirectory) continue;
+      if (rule.regex.test(toPosix(filePath))) {
+        matched = !rule.negate;
+      }
     }
+    return matched;
+  }
+
+  /**
+   * 将 glob 模式转换为正则表达式
+   */
+  globToRegex(pattern) {
+    return globToRegex(pattern);
+  }
+
+  /**
+   * 发现项目文件
+   */
+  async discoverFiles(pattern = '**/*', options = {}) {
+    const { respectGitIgnore = true, respectGeminiIgnore = true, maxFiles = 1000 } = options;
     
     try {
-      const content = readFileSync(geminiIgnorePath, 'utf8');
-      return this.parseIgnoreFile(content);
+      const files = await glob(pattern, {
+        cwd: this.projectRoot,
+        ignore: ['**/node_modules/**', '**/.git/**'],
+        nodir: true
+      });
+      
+      return files
+        .filter(file =>
+          !this.shouldIgnoreFile(join(this.projectRoot, file), {
+            respectGitIgnore,
+            respectGeminiIgnore,
+            isDirectory: false
+          })
+        )
+        .slice(0, maxFiles);
     } catch (error) {
-      console.warn('无法读取 .geminiignore:', error.message);
+      console.error('文件发现失败:', error.message);
       return [];
     }
   }
 
   /**
-   * 解析忽略文件内容
+   * 按 glob 模式查找文件，按修改时间从新到旧排序
+   * @param {string} pattern - glob 模式
+   * @param {Object} options
+   * @param {string} [options.cwd] - 搜索的起始目录，默认项目根目录
+   * @param {number} [options.maxFiles] - 最多返回的文件数
+   * @returns {Promise<{files: Array<{path: string, size: number, modifiedAt: string}>, total: number, truncated: boolean}>}
    */
-  parseIgnoreFile(content) {
-    return content
-      .split('\n')
-      .map(line => line.trim())
-      .filter(line => line && !line.startsWith('#'))
-      .map(pattern => {
-        // 简单的 glob 模式转换
-        if (pattern.endsWith('/')) {
-          return pattern + '**/*';
-        }
-        return pattern;
-      });
+  async findFiles(pattern, options = {}) {
+    const {
+      cwd = this.projectRoot,
+      respectGitIgnore = true,
+      respectGeminiIgnore = true,
+      maxFiles = 1000
+    } = options;
+    
+    const matches = await glob(pattern, {
+      cwd,
+      ignore: ['**/node_modules/**', '**/.git/**'],
+      nodir: true,
+      absolute: true
+    });
+    
+    const files = [];
+    for (const file of matches) {
+      if (this.shouldIgnoreFile(file, { respectGitIgnore, respectGeminiIgnore, isDirectory: false })) {
+        continue;
+      }
+      try {
+        const stat = statSync(file);
+        files.push({ path: file, size: stat.size, mtimeMs: stat.mtimeMs });
+      } catch (error) {
+        // 文件在查找期间被删除
+      }
+    }
+    
+    files.sort((a, b) => b.mtimeMs - a.mtimeMs || a.path.localeCompare(b.path));
+    
+    return {
+      files: files.slice(0, maxFiles).map(({ path, size, mtimeMs }) => ({
+        path,
+        size,
+        modifiedAt: new Date(mtimeMs).toISOString()
+      })),
+      total: files.length,
+      truncated: files.length > maxFiles
+    };
   }
 
   /**
-   * 检查文件是否应该被忽略
+   * 列出目录内容（跳过被忽略的条目），目录在前、按名称排序
+   * @param {string} dirPath - 目录路径
+   * @param {Object} options
+   * @param {number} [options.maxFiles] - 最多返回的条目数
+   * @returns {{path: string, entries: Array<{name: string, type: string, size: number, modifiedAt: string}>, total: number, ignored: number, truncated: boolean}}
    */
-  shouldIgnoreFile(filePath, options = {}) {
-    const { respectGitIgnore = true, respectGeminiIgnore = true } = options;
-    const relativePath = relative(this.projectRoot, resolve(filePath));
+  listDirectory(dirPath, options = {}) {
+    const { respectGitIgnore = true, respectGeminiIgnore = true, maxFiles = 1000 } = options;
+    const dir = resolve(this.projectRoot, dirPath);
     
-    // 检查 .gitignore
-    if (respectGitIgnore && this.matchesPatterns(relativePath, this.gitIgnorePatterns)) {
-      return true;
+    const stat = statSync(dir);
+    if (!stat.isDirectory()) {
+      throw new Error(`不是目录: ${dir}`);
     }
     
-    // 检查 .geminiignore
-    if (respectGeminiIgnore && this.matchesPatterns(relativePath, this.geminiIgnorePatterns)) {
-      return true;
-    }
+    const entries = [];
+    let ignored = 0;
     
-    // 默认忽略的文件/目录
-    const defaultIgnores = [
-      'node_modules/**/*',
-      '.git/**/*',
-      '**/.DS_Store',
-      '**/Thumbs.db',
-      '**/*.tmp',
-      '**/*.temp'
-    ];
-    
-    if (this.matchesPatterns(relativePath, defaultIgnores)) {
-      return true;
+    for (const dirent of readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = join(dir, dirent.name);
+      if (this.shouldIgnoreFile(fullPath, { respectGitIgnore, respectGeminiIgnore })) {
+        ignored++;
+        continue;
+      }
+      
+      let type = dirent.isDirectory() ? 'directory' : dirent.isFile() ? 'file' : 'other';
+      let size = 0;
+      let modifiedAt = null;
+      try {
+        // 符号链接按目标类型展示
+        const target = statSync(fullPath);
+        if (dirent.isSymbolicLink()) {
+          type = target.isDirectory() ? 'directory' : 'file';
+        }
+        size = target.isDirectory() ? 0 : target.size;
+        modifiedAt = target.mtime.toISOString();
+      } catch (error) {
+        // 失效的符号链接
+        type = dirent.isSymbolicLink() ? 'symlink' : type;
+      }
+      
+      entries.push({ name: dirent.name, type, size, modifiedAt });
     }
     
-    return false;
-  }
-
-  /**
-   * 检查文件路径是否匹配忽略模式
-   */
-  matchesPatterns(filePath, patterns) {
-    return patterns.some(pattern => {
-      // 简单的 glob 匹配实现
-      const regex = this.globToRegex(pattern);
-      return regex.test(filePath);
-    });
+    entries.sort((a, b) =>
+      (a.type === 'directory' ? 0 : 1) - (b.type === 'directory' ? 0 : 1) || a.name.localeCompare(b.name)
+    );
+    
+    return {
+      path: dir,
+      entries: entries.slice(0, maxFiles),
+      total: entries.length,
+      ignored,
+      truncated: entries.length > maxFiles
+    };
   }
 
   /**
-   * 将 glob 模式转换为正则表达式
+   * 在文件内容中搜索正则表达式，跳过被忽略的文件、二进制文件和超大文件
+   * @param {RegExp} regex - 搜索模式
+   * @param {Object} options
+   * @param {string} [options.cwd] - 搜索的起始目录，默认项目根目录
+   * @param {string} [options.include] - 只搜索匹配该 glob 的文件
+   * @param {number} [options.maxResults] - 最多返回的匹配行数
+   * @param {number} [options.maxFileSize] - 跳过超过该字节数的文件
+   * @param {number} [options.maxFiles] - 最多搜索的文件数，默认搜索全部文件
+   * @returns {Promise<{matches: Array<{path: string, line: number, text: string}>, filesSearched: number, truncated: boolean}>}
    */
-  globToRegex(pattern) {
-    const escaped = pattern
-      .replace(/[.+^${}()|[\\]\\]/g, '\\\\$&')
-      .replace(/\\*/g, '.*')
-      .replace(/\\?/g, '.');
-    return new RegExp(`^${escaped}$`);
+  async searchContent(regex, options = {}) {
+    const {
+      include = '**/*',
+      maxResults = 200,
+      maxFileSize = 1024 * 1024,
+      maxFiles = Infinity,
+      ...findOptions
+    } = options;
+    
+    const { files, truncated: filesTruncated } = await this.findFiles(include, { ...findOptions, maxFiles });
+    files.sort((a, b) => a.path.localeCompare(b.path));
+    
+    const matches = [];
+    let filesSearched = 0;
+    
+    for (const file of files) {
+      if (file.size > maxFileSize || this.isBinaryFile(file.path)) {
+        continue;
+      }
+      
+      let content;
+      try {
+        content = readFileSync(file.path, 'utf8');
+      } catch (error) {
+        continue;
+      }
+      filesSearched++;
+      
+      const lines = content.split(/\r?\n/);
+      for (let i = 0; i < lines.length; i++) {
+        regex.lastIndex = 0;
+        if (regex.test(lines[i])) {
+          // 已经达到上限时，再找到一处匹配才说明结果被截断
+          if (matches.length >= maxResults) {
+            return { matches, filesSearched, truncated: true };
+          }
+          matches.push({ path: file.path, line: i + 1, text: lines[i] });
+        }
+      }
+    }
+    
+    return { matches, filesSearched, truncated: filesTruncated };
   }
 
   /**
-   * 发现项目文件
+   * 通过文件开头是否包含 NUL 字节判断二进制文件
    */
-  async discoverFiles(pattern = '**/*', options = {}) {
-    const { respectGitIgnore = true, respectGeminiIgnore = true, maxFiles = 1000 } = options;
-    
+  isBinaryFile(filePath) {
+    let fd;
     try {
-      const files = await glob(pattern, {
-        cwd: this.projectRoot,
-        ignore: ['node_modules/**', '.git/**'],
-        nodir: true,
-        maxFiles
-      });
-      
-      return files.filter(file => 
-        !this.shouldIgnoreFile(join(this.projectRoot, file), {
-          respectGitIgnore,
-          respectGeminiIgnore
-        })
-      );
+      fd = openSync(filePath, 'r');
+      const buffer = Buffer.alloc(BINARY_SNIFF_BYTES);
+      const bytesRead = readSync(fd, buffer, 0, BINARY_SNIFF_BYTES, 0);
+      return buffer.subarray(0, bytesRead).includes(0);
     } catch (error) {
-      console.error('文件发现失败:', error.message);
-      return [];
+      return true;
+    } finally {
+      if (fd !== undefined) {
+        closeSync(fd);
+      }
     }
   }
 
@@ -216,9 +357,23 @@ export class FileService {
    * 获取忽略模式
    */
   getIgnorePatterns() {
+    const rootRules = this.ignoreMatcher.getRules('');
+    const patternsFrom = source => rootRules.filter(rule => rule.source === source).map(rule => rule.pattern);
     return {
-      gitIgnore: [...this.gitIgnorePatterns],
-      geminiIgnore: [...this.geminiIgnorePatterns]
+      gitIgnore: patternsFrom(GIT_IGNORE_FILE),
+      geminiIgnore: patternsFrom(GEMINI_IGNORE_FILE)
     };
   }
+}
+
+function isDirectoryPath(filePath) {
+  try {
+    return statSync(filePath).isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+function toPosix(filePath) {
+  return sep === '/' ? filePath : filePath.split(sep).join('/');
 }
\ No newline at end of file
@@ -5,16 +5,38 @@
  * 简化版本，专注于基本的 Git 信息获取
  */
 
-import { execSync, exec } from 'child_process';
+import { execSync, execFileSync, spawnSync, exec } from 'child_process';
 import { existsSync } from 'fs';
 import { join, resolve } from 'path';
 
+// 读取 git 输出时的缓冲区上限，超出部分被截断
+const MAX_GIT_BUFFER = 10 * 1024 * 1024;
+
 export class GitService {
   constructor(projectRoot) {
     this.projectRoot = resolve(projectRoot);
     this.isGitRepo = this.checkIsGitRepository();
   }
 
+  /**
+   * 查找目录所在仓库的根目录（git rev-parse --show-toplevel），不在仓库中时返回 null
+   * @param {string} dir
+   * @returns {string|null}
+   */
+  static findRepoRoot(dir) {
+    try {
+      const root = execFileSync('git', ['rev-parse', '--show-toplevel'], {
+        cwd: resolve(dir),
+        encoding: 'utf8',
+        timeout: 10000,
+        stdio: ['ignore', 'pipe', 'ignore']
+      }).trim();
+      return root || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * 检查是否为 Git 仓库
    */
@@ -59,6 +81,255 @@ export class GitService {
     }
   }
 
+  /**
+   * 以参数数组执行 Git 命令（不经过 shell），保留原始输出
+   * @param {string[]} args - git 参数
+   * @param {Object} options
+   * @param {number} [options.maxBytes] - 最多返回的输出字节数，超出时截断
+   * @returns {{output: string, truncated: boolean}}
+   */
+  runGit(args, options = {}) {
+    if (!this.isGitRepo) {
+      throw new Error('当前目录不是 Git 仓库');
+    }
+
+    const { maxBytes = MAX_GIT_BUFFER, timeout = 10000 } = options;
+    let output;
+    let truncated = false;
+
+    try {
+      output = execFileSync('git', args, {
+        cwd: this.projectRoot,
+        timeout,
+        maxBuffer: MAX_GIT_BUFFER,
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+    } catch (error) {
+      if (error.code !== 'ENOBUFS' || !error.stdout) {
+        const stderr = error.stderr?.toString().trim();
+        throw new Error(`Git 命令执行失败: ${stderr || error.message}`);
+      }
+      output = error.stdout;
+      truncated = true;
+    }
+
+    if (output.length > maxBytes) {
+      output = output.subarray(0, maxBytes);
+      truncated = true;
+    }
+
+    // 截断可能切开多字节字符，解码时会替换为 U+FFFD
+    return { output: output.toString('utf8'), truncated };
+  }
+
+  /**
+   * 获取简短格式的工作区状态（包含分支和上游信息）
+   * @param {Object} options
+   * @param {number} [options.maxBytes] - 最多返回的输出字节数
+   */
+  getShortStatus(options = {}) {
+    return this.runGit(['status', '--short', '--branch'], options);
+  }
+
+  /**
+   * 获取 diff
+   * @param {Object} options
+   * @param {boolean} [options.staged] - 已暂存的改动（相对于 HEAD 或 ref）
+   * @param {string} [options.ref] - 比较的提交、分支或范围（如 main、main...HEAD）
+   * @param {string[]} [options.paths] - 只比较这些路径
+   * @param {boolean} [options.stat] - 只返回文件改动统计
+   * @param {boolean} [options.findRenames] - 识别重命名（paths 需要同时包含原路径和新路径）
+   * @param {number} [options.maxBytes] - 最多返回的输出字节数
+   */
+  getDiff(options = {}) {
+    const { staged = false, ref, paths = [], stat = false, findRenames = false, maxBytes } = options;
+    const args = ['diff', '--no-color', '--no-ext-diff'];
+
+    if (staged) args.push('--cached');
+    if (stat) args.push('--stat');
+    if (findRenames) args.push('--find-renames');
+    if (ref) args.push(this.checkRef(ref));
+    args.push('--', ...paths);
+
+    return this.runGit(args, { maxBytes });
+  }
+
+  /**
+   * 获取提交历史
+   * @param {Object} options
+   * @param {string} [options.ref] - 起始提交、分支或范围，默认 HEAD
+   * @param {string} [options.path] - 只显示修改过该路径的提交
+   * @param {number} [options.maxCount] - 最多返回的提交数
+   * @param {number} [options.maxBytes] - 最多返回的输出字节数
+   */
+  getLog(options = {}) {
+    const { ref, path, maxCount = 20, maxBytes } = options;
+    const args = [
+      'log',
+      '--no-color',
+      `--max-count=${maxCount}`,
+      '--date=short',
+      '--pretty=format:%h %ad %an%d%n    %s'
+    ];
+
+    if (ref) args.push(this.checkRef(ref));
+    args.push('--');
+    if (path) args.push(path);
+
+    return this.runGit(args, { maxBytes });
+  }
+
+  /**
+   * 显示提交（元数据和补丁），或某个提交中的文件内容
+   * @param {string} ref - 提交、分支或标签
+   * @param {Object} options
+   * @param {string} [options.path] - 相对于项目根目录的文件路径，指定时返回该版本的文件内容
+   * @param {boolean} [options.stat] - 只显示文件改动统计，不显示补丁
+   * @param {number} [options.maxBytes] - 最多返回的输出字节数
+   */
+  show(ref, options = {}) {
+    const { path, stat = false, maxBytes } = options;
+    this.checkRef(ref);
+
+    if (path) {
+      return this.runGit(['show', '--no-color', `${ref}:./${path}`], { maxBytes });
+    }
+
+    const args = ['show', '--no-color', '--no-ext-diff', '--date=iso'];
+    if (stat) args.push('--stat');
+    args.push(ref, '--');
+    return this.runGit(args, { maxBytes });
+  }
+
+  /**
+   * 拒绝以 - 开头的 ref，避免被当作 git 选项
+   */
+  checkRef(ref) {
+    if (typeof ref !== 'string' || ref.trim() === '' || ref.startsWith('-')) {
+      throw new Error(`无效的 Git 引用: ${ref}`);
+    }
+    return ref;
+  }
+
+  /**
+   * 引用是否指向一个存在的提交
+   */
+  hasCommit(ref) {
+    try {
+      this.runGit(['rev-parse', '--verify', '--quiet', `${this.checkRef(ref)}^{commit}`]);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 推断主分支：优先 origin/HEAD，其次 main、master 及其远程分支
+   * @returns {string|null}
+   */
+  getDefaultBranch() {
+    try {
+      const { output } = this.runGit(['symbolic-ref', '--quiet', '--short', 'refs/remotes/origin/HEAD']);
+      if (output.trim()) {
+        return output.trim();
+      }
+    } catch (error) {
+      // 没有 origin 或未设置 origin/HEAD
+    }
+
+    return ['main', 'master', 'origin/main', 'origin/master'].find(ref => this.hasCommit(ref)) || null;
+  }
+
+  /**
+   * 获取两个引用的合并基础
+   */
+  getMergeBase(ref, other = 'HEAD') {
+    return this.runGit(['merge-base', this.checkRef(ref), this.checkRef(other)]).output.trim();
+  }
+
+  /**
+   * 获取与某个引用相比改动过的文件（不含已删除的文件），识别重命名
+   * @param {string} ref - 提交、分支或范围
+   * @returns {Array<{path: string, oldPath?: string}>} 相对于仓库根目录的路径，重命名的文件带有原路径
+   */
+  getChangedFiles(ref) {
+    const { output } = this.runGit(['diff', '--name-status', '--find-renames', '--diff-filter=d', '-z', this.checkRef(ref), '--']);
+    const fields = output.split('\0').filter(Boolean);
+    const files = [];
+    // -z 输出为 "状态\0路径\0"，重命名和复制为 "R100\0原路径\0新路径\0"
+    for (let i = 0; i < fields.length; i++) {
+      const status = fields[i];
+      if (status.startsWith('R')) {
+        files.push({ path: fields[i + 2], oldPath: fields[i + 1] });
+        i += 2;
+      } else if (status.startsWith('C')) {
+        files.push({ path: fields[i + 2] });
+        i += 2;
+      } else {
+        files.push({ path: fields[i + 1] });
+        i += 1;
+      }
+    }
+    return files;
+  }
+
+  /**
+   * 暂存区是否有改动
+   */
+  hasStagedChanges() {
+    if (!this.isGitRepo) return false;
+
+    // --quiet 时有改动退出码为 1，没有改动为 0
+    const result = spawnSync('git', ['diff', '--cached', '--quiet'], {
+      cwd: this.projectRoot,
+      timeout: 10000,
+      stdio: 'ignore'
+    });
+    if (result.status !== 0 && result.status !== 1) {
+      throw new Error('Git 命令执行失败: git diff --cached');
+    }
+    return result.status === 1;
+  }
+
+  /**
+   * 获取最近提交的标题，用于模仿项目的提交信息风格
+   * @param {number} count - 提交数
+   * @returns {string[]}
+   */
+  getRecentCommitSubjects(count = 10) {
+    if (!this.hasCommit('HEAD')) return [];
+
+    const { output } = this.runGit(['log', '--no-color', `--max-count=${count}`, '--pretty=format:%s']);
+    return output.split('\n').filter(line => line.trim());
+  }
+
+  /**
+   * 用给定的提交信息提交暂存区，钩子的输出直接显示在终端
+   * @param {string} message - 提交信息
+   * @param {Object} options
+   * @param {boolean} [options.amend] - 修改上一次提交
+   */
+  commit(message, options = {}) {
+    if (!this.isGitRepo) {
+      throw new Error('当前目录不是 Git 仓库');
+    }
+
+    const args = ['commit', '--file=-'];
+    if (options.amend) args.push('--amend');
+
+    const result = spawnSync('git', args, {
+      cwd: this.projectRoot,
+      input: message,
+      stdio: ['pipe', 'inherit', 'inherit']
+    });
+    if (result.error) {
+      throw new Error(`Git 提交失败: ${result.error.message}`);
+    }
+    if (result.status !== 0) {
+      throw new Error(`Git 提交失败，退出码 ${result.status}`);
+    }
+  }
+
   /**
    * 获取当前分支名
    */
@@ -105,8 +376,9 @@ export class GitService {
     if (!this.isGitRepo) return null;
     
     try {
-      const status = this.execGitCommand('status --porcelain');
-      const lines = status.split('\n').filter(line => line.trim());
+      // 不能 trim：第一行的状态码可能以空格开头
+      const { output } = this.runGit(['status', '--porcelain']);
+      const lines = output.split('\n').filter(line => line.trim());
       
       const result = {
         clean: lines.length === 0,
@@ -8,8 +8,11 @@ import { FileService } from './file-service.js';
 import { GitService } from './git-service.js';
 import { SessionService } from './session-service.js';
 import { ConfigService } from './config-service.js';
+import { CheckpointService } from './checkpoint-service.js';
+import { ContextService } from './context-service.js';
+import { MemoryService } from './memory-service.js';
 
-export { FileService, GitService, SessionService, ConfigService };
+export { FileService, GitService, SessionService, ConfigService, CheckpointService, ContextService, MemoryService };
 
 /**
  * 服务工厂类 - 统一创建和管理服务实例
@@ -41,12 +44,55 @@ export class ServiceManager {
     return this.services.get('git');
   }
 
+  /**
+   * 获取或创建检查点服务
+   */
+  getCheckpointService() {
+    if (!this.services.has('checkpoint')) {
+      this.services.set('checkpoint', new CheckpointService(this.projectRoot));
+    }
+    return this.services.get('checkpoint');
+  }
+
+  /**
+   * 获取或创建上下文文件服务
+   */
+  getContextService() {
+    if (!this.services.has('context')) {
+      const contextConfig = this.getConfigService().get('context', {});
+      this.services.set('context', new ContextService({
+        workingDir: this.projectRoot,
+        fileName: contextConfig.fileName,
+        maxBytes: contextConfig.maxBytes
+      }));
+    }
+    return this.services.get('context');
+  }
+
+  /**
+   * 获取或创建记忆服务（项目记忆保存在上下文服务找到的项目根目录）
+   */
+  getMemoryService() {
+    if (!this.services.has('memory')) {
+      const contextService = this.getContextService();
+      this.services.set('memory', new MemoryService({
+        projectRoot: contextService.projectRoot,
+        contextFileName: contextService.fileName
+      }));
+    }
+    return this.services.get('memory');
+  }
+
   /**
    * 获取或创建会话服务
    */
   getSessionService() {
     if (!this.services.has('session')) {
-      const config = this.options.sessionConfig || {};
+      const chatConfig = this.getConfigService().get('chat', {});
+      const config = {
+        autoSave: chatConfig.autoSave,
+        ...this.options.sessionConfig
+      };
       this.services.set('session', new SessionService(config));
     }
     return this.services.get('session');
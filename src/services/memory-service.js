@@ -0,0 +1,252 @@
+/**
+ * MINI GEMINI CLI SERVICES: 记忆服务
+ *
+ * 管理模型保存的长期记忆，每条记忆是 Markdown 文件 "## Gemini Added Memories" 段落中的一个 "- " 列表项：
+ * - global：~/.gemini-mini/memory.md，所有项目共享
+ * - project：项目根目录下与上下文文件同名的 *.memories.md（如 GEMINI.memories.md），可以提交到仓库
+ * 记忆 ID 由作用域和内容计算得出，内容修改后 ID 随之改变
+ * 新保存的记忆在行尾记录保存时间（<!-- saved ... -->，渲染时不可见）；没有时间的记忆来自旧版本，
+ * 旧版本把新记忆插入到段落开头，因此越靠前越新
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { homedir } from 'os';
+import { createHash } from 'crypto';
+import { scoreDocuments } from '../utils/bm25.js';
+
+export const MEMORY_SCOPES = ['global', 'project'];
+
+const GLOBAL_DIR = '.gemini-mini';
+const GLOBAL_MEMORY_FILE = 'memory.md';
+const MEMORIES_SECTION = '## Gemini Added Memories';
+const SAVED_AT_PATTERN = /\s*<!-- saved (\S+) -->\s*$/;
+
+export class MemoryService {
+  /**
+   * @param {Object} options
+   * @param {string} options.projectRoot - 项目根目录（项目记忆的存放位置）
+   * @param {string} [options.contextFileName] - 项目上下文文件名，项目记忆文件名由它得出
+   * @param {string} [options.globalDir] - 全局配置目录
+   */
+  constructor({ projectRoot, contextFileName = 'GEMINI.md', globalDir } = {}) {
+    this.projectRoot = projectRoot || process.cwd();
+    this.paths = {
+      global: join(globalDir || join(homedir(), GLOBAL_DIR), GLOBAL_MEMORY_FILE),
+      project: join(this.projectRoot, `${contextFileName.replace(/\.md$/i, '')}.memories.md`)
+    };
+  }
+
+  /**
+   * 获取作用域对应的记忆文件
+   */
+  getPath(scope) {
+    if (!MEMORY_SCOPES.includes(scope)) {
+      throw new Error(`未知的记忆作用域: ${scope}（可选 ${MEMORY_SCOPES.join(', ')}）`);
+    }
+    return this.paths[scope];
+  }
+
+  /**
+   * 列出记忆，按作用域分组、文件中的顺序排列
+   * @param {Object} [filter]
+   * @param {string} [filter.scope] - 只列出该作用域
+   * @returns {Array<{id: string, scope: string, text: string, path: string, line: number, savedAt: string|null}>}
+   */
+  listMemories(filter = {}) {
+    const scopes = filter.scope ? [filter.scope] : MEMORY_SCOPES;
+    return scopes.flatMap(scope => this.readEntries(scope));
+  }
+
+  /**
+   * 按与查询的相关性（BM25）排列全部记忆
+   * 分数相同时项目记忆在前，较新的在前
+   * @returns {Array<Object>} 带 score 字段的记忆
+   */
+  rankMemories(query, filter = {}) {
+    const memories = this.listMemories(filter);
+    const scores = scoreDocuments(query, memories.map(entry => entry.text));
+    return memories
+      .map((entry, index) => ({ ...entry, score: scores[index] }))
+      .sort((a, b) =>
+        b.score - a.score ||
+        MEMORY_SCOPES.indexOf(b.scope) - MEMORY_SCOPES.indexOf(a.scope) ||
+        recency(b) - recency(a)
+      );
+  }
+
+  /**
+   * 搜索与查询相关的记忆，按相关性从高到低排列
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {string} [options.scope] - 只搜索该作用域
+   * @param {number} [options.limit] - 最多返回的条数
+   */
+  searchMemories(query, { scope, limit } = {}) {
+    const matches = this.rankMemories(query, { scope }).filter(entry => entry.score > 0);
+    return limit ? matches.slice(0, limit) : matches;
+  }
+
+  /**
+   * 按 ID（或唯一前缀）查找记忆
+   */
+  getMemory(id) {
+    const memories = this.listMemories();
+    const exact = memories.find(entry => entry.id === id);
+    if (exact) {
+      return exact;
+    }
+
+    const matches = memories.filter(entry => entry.id.startsWith(id));
+    if (!id || matches.length === 0) {
+      throw new Error(`记忆不存在: ${id}`);
+    }
+    if (matches.length > 1) {
+      throw new Error(`记忆 ID 不唯一: ${id}（匹配 ${matches.map(entry => entry.id).join(', ')}）`);
+    }
+    return matches[0];
+  }
+
+  /**
+   * 保存一条记忆，已存在相同内容（任一作用域）时不重复保存
+   * @returns {{entry: Object, duplicate: boolean}}
+   */
+  addMemory(text, { scope = 'global' } = {}) {
+    const fact = cleanFact(text);
+    const existing = this.findDuplicate(fact);
+    if (existing) {
+      return { entry: existing, duplicate: true };
+    }
+
+    const path = this.getPath(scope);
+    const lines = this.readLines(scope);
+    let index = lines.indexOf(MEMORIES_SECTION);
+    if (index === -1) {
+      while (lines.length > 0 && lines[lines.length - 1].trim() === '') lines.pop();
+      if (lines.length > 0) lines.push('');
+      lines.push(MEMORIES_SECTION, '');
+      index = lines.length - 2;
+    }
+
+    // 插入到该段落最后一条记忆之后，保持从旧到新的顺序
+    let insertAt = index + 1;
+    for (let i = index + 1; i < lines.length && !/^#{1,2}\s/.test(lines[i]); i++) {
+      if (lines[i].startsWith('- ')) insertAt = i + 1;
+    }
+    if (insertAt === index + 1 && lines[insertAt] === '') insertAt++;
+    lines.splice(insertAt, 0, formatEntry(fact, new Date().toISOString()));
+    this.writeLines(scope, lines);
+
+    return { entry: this.readEntries(scope).find(entry => entry.text === fact && entry.path === path), duplicate: false };
+  }
+
+  /**
+   * 修改记忆内容，与其他记忆重复时报错
+   * @returns {Object} 修改后的记忆
+   */
+  updateMemory(id, text) {
+    const entry = this.getMemory(id);
+    const fact = cleanFact(text);
+    const existing = this.findDuplicate(fact);
+    if (existing && existing.id !== entry.id) {
+      throw new Error(`已存在相同的记忆: ${existing.id}`);
+    }
+
+    const lines = this.readLines(entry.scope);
+    lines[entry.line - 1] = formatEntry(fact, entry.savedAt || new Date().toISOString());
+    this.writeLines(entry.scope, lines);
+    return this.readEntries(entry.scope).find(updated => updated.line === entry.line);
+  }
+
+  /**
+   * 删除记忆
+   * @returns {Object} 被删除的记忆
+   */
+  deleteMemory(id) {
+    const entry = this.getMemory(id);
+    const lines = this.readLines(entry.scope);
+    lines.splice(entry.line - 1, 1);
+    this.writeLines(entry.scope, lines);
+    return entry;
+  }
+
+  findDuplicate(fact) {
+    const key = normalize(fact);
+    return this.listMemories().find(entry => normalize(entry.text) === key) || null;
+  }
+
+  /**
+   * 解析记忆段落中的列表项（段落到下一个一级或二级标题为止），文件中其他列表不是记忆
+   */
+  readEntries(scope) {
+    const path = this.getPath(scope);
+    const entries = [];
+    let inSection = false;
+
+    this.readLines(scope).forEach((line, index) => {
+      if (/^#{1,2}\s/.test(line)) {
+        inSection = line.trim() === MEMORIES_SECTION;
+        return;
+      }
+      if (!inSection || !line.startsWith('- ')) return;
+
+      const savedAt = line.match(SAVED_AT_PATTERN)?.[1] || null;
+      const text = line.slice(2).replace(SAVED_AT_PATTERN, '').trim();
+      if (text) {
+        entries.push({ id: memoryId(scope, text), scope, text, path, line: index + 1, savedAt });
+      }
+    });
+    return entries;
+  }
+
+  readLines(scope) {
+    const path = this.getPath(scope);
+    return existsSync(path) ? readFileSync(path, 'utf8').split('\n') : [];
+  }
+
+  writeLines(scope, lines) {
+    const path = this.getPath(scope);
+    if (!existsSync(path)) {
+      mkdirSync(dirname(path), { recursive: true });
+      const title = scope === 'global' ? '# Mini Gemini Memory' : '# Project Memories';
+      if (lines[0] !== title) lines.unshift(title, '');
+    }
+    let content = lines.join('\n');
+    if (!content.endsWith('\n')) content += '\n';
+    writeFileSync(path, content, 'utf8');
+  }
+}
+
+function formatEntry(fact, savedAt) {
+  return `- ${fact} <!-- saved ${savedAt} -->`;
+}
+
+/**
+ * 用于排序的新旧程度：有保存时间的按时间；没有时间的旧记忆都早于它们，越靠前越新
+ */
+function recency(entry) {
+  const time = entry.savedAt ? Date.parse(entry.savedAt) : NaN;
+  return Number.isNaN(time) ? -entry.line : time;
+}
+
+function memoryId(scope, text) {
+  return createHash('sha256').update(`${scope}\n${normalize(text)}`).digest('hex').substring(0, 8);
+}
+
+/**
+ * 规范化后比较：忽略大小写、多余空白和结尾标点
+ */
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').replace(/[\s.。!！]+$/, '').trim();
+}
+
+/**
+ * 记忆保存为单行列表项
+ */
+function cleanFact(text) {
+  const fact = String(text || '').replace(/\s+/g, ' ').replace(/^[-*]\s+/, '').trim();
+  if (!fact) {
+    throw new Error('记忆内容不能为空');
+  }
+  return fact;
+}
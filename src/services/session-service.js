@@ -5,11 +5,15 @@
  */
 
 import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, unlinkSync } from 'fs';
-import { join } from 'path';
+import { join, resolve } from 'path';
 import { homedir } from 'os';
 import { createHash } from 'crypto';
 
 const SESSION_DIR = '.gemini-mini/sessions';
+// generateSessionId 生成的 ID 格式，也用作会话文件名
+const SESSION_ID_PATTERN = /^[0-9a-f]{16}$/;
+// 导入会话时允许的消息角色（系统提示词由客户端生成，不从文件导入）
+const IMPORTED_ROLES = ['user', 'assistant', 'tool'];
 
 export class SessionService {
   constructor(config = {}) {
@@ -17,7 +21,6 @@ export class SessionService {
     this.sessionDir = join(homedir(), SESSION_DIR);
     this.currentSessionId = null;
     this.sessionData = null;
-    this.maxHistoryLength = config.maxHistoryLength || 50;
     this.autoSave = config.autoSave !== false;
     
     this.ensureSessionDir();
@@ -77,11 +80,21 @@ export class SessionService {
     return sessionData;
   }
 
+  /**
+   * 会话文件路径，ID 必须是 generateSessionId 的格式，防止 ../ 等路径越出会话目录
+   */
+  getSessionPath(sessionId) {
+    if (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId)) {
+      throw new Error(`无效的会话 ID: ${sessionId}`);
+    }
+    return join(this.sessionDir, `${sessionId}.json`);
+  }
+
   /**
    * 加载会话
    */
   loadSession(sessionId) {
-    const sessionPath = join(this.sessionDir, `${sessionId}.json`);
+    const sessionPath = this.getSessionPath(sessionId);
     
     if (!existsSync(sessionPath)) {
       throw new Error(`会话不存在: ${sessionId}`);
@@ -107,7 +120,7 @@ export class SessionService {
       throw new Error('没有可保存的会话数据');
     }
     
-    const sessionPath = join(this.sessionDir, `${data.id}.json`);
+    const sessionPath = this.getSessionPath(data.id);
     data.updatedAt = new Date().toISOString();
     
     try {
@@ -134,16 +147,10 @@ export class SessionService {
       ...metadata
     };
     
+    // 保存完整历史：--resume 和 /restore 需要早期的消息，发送给模型的上下文由 ContextWindowManager 压缩
     this.sessionData.history.push(message);
     this.sessionData.metadata.messageCount++;
     
-    // 限制历史长度
-    if (this.sessionData.history.length > this.maxHistoryLength) {
-      const removed = this.sessionData.history.splice(0, 
-        this.sessionData.history.length - this.maxHistoryLength);
-      console.debug(`清理了 ${removed.length} 条历史消息`);
-    }
-    
     if (this.autoSave) {
       this.saveSession();
     }
@@ -172,6 +179,36 @@ export class SessionService {
     return limit ? history.slice(-limit) : history;
   }
 
+  /**
+   * 将历史回退到某条消息之前：删除发起该轮对话的用户消息及之后的所有消息
+   * @param {string} messageId - 消息 ID
+   * @returns {{removed: Array, prompt: string|null}} 被删除的消息和该轮的用户输入
+   */
+  rewindToMessage(messageId) {
+    if (!this.sessionData) {
+      throw new Error('没有活动会话');
+    }
+    
+    const history = this.sessionData.history;
+    let index = history.findIndex(message => message.id === messageId);
+    if (index === -1) {
+      throw new Error(`消息不存在或已被清理: ${messageId}`);
+    }
+    while (index > 0 && history[index].role !== 'user') {
+      index--;
+    }
+    
+    const removed = history.splice(index);
+    const prompt = removed[0]?.role === 'user' ? removed[0].content : null;
+    this.sessionData.metadata.messageCount = Math.max(0, this.sessionData.metadata.messageCount - removed.length);
+    
+    if (this.autoSave) {
+      this.saveSession();
+    }
+    
+    return { removed, prompt };
+  }
+
   /**
    * 清除历史
    */
@@ -225,7 +262,8 @@ export class SessionService {
               title: data.title,
               createdAt: data.createdAt,
               updatedAt: data.updatedAt,
-              messageCount: data.metadata.messageCount || 0
+              messageCount: data.metadata.messageCount || 0,
+              workingDir: data.context?.workingDir || null
             });
           } catch (error) {
             console.warn(`跳过损坏的会话文件: ${file}`);
@@ -241,11 +279,25 @@ export class SessionService {
     );
   }
 
+  /**
+   * 查找最近更新的会话
+   * @param {Object} options - 过滤条件
+   * @param {string} [options.workingDir] - 只匹配该工作目录下的会话
+   */
+  findLatestSession({ workingDir } = {}) {
+    const target = workingDir ? resolve(workingDir) : null;
+    const sessions = this.listSessions();
+    
+    return sessions.find(session => 
+      !target || (session.workingDir && resolve(session.workingDir) === target)
+    ) || null;
+  }
+
   /**
    * 删除会话
    */
   deleteSession(sessionId) {
-    const sessionPath = join(this.sessionDir, `${sessionId}.json`);
+    const sessionPath = this.getSessionPath(sessionId);
     
     if (!existsSync(sessionPath)) {
       throw new Error(`会话不存在: ${sessionId}`);
@@ -265,6 +317,84 @@ export class SessionService {
     }
   }
 
+  /**
+   * 根据完整 ID 或唯一前缀查找会话 ID
+   */
+  resolveSessionId(idOrPrefix) {
+    if (typeof idOrPrefix !== 'string' || !/^[0-9a-f]{1,16}$/.test(idOrPrefix)) {
+      throw new Error(`无效的会话 ID: ${idOrPrefix}`);
+    }
+    if (SESSION_ID_PATTERN.test(idOrPrefix) && existsSync(this.getSessionPath(idOrPrefix))) {
+      return idOrPrefix;
+    }
+    
+    const matches = this.listSessions().filter(session => session.id.startsWith(idOrPrefix));
+    if (matches.length === 0) {
+      throw new Error(`会话不存在: ${idOrPrefix}`);
+    }
+    if (matches.length > 1) {
+      throw new Error(`会话 ID 前缀不唯一: ${idOrPrefix} (${matches.map(s => s.id).join(', ')})`);
+    }
+    return matches[0].id;
+  }
+
+  /**
+   * 重命名会话
+   */
+  renameSession(sessionId, title) {
+    if (!title || !title.trim()) {
+      throw new Error('会话标题不能为空');
+    }
+    
+    const isCurrent = this.currentSessionId === sessionId;
+    const sessionData = isCurrent ? this.sessionData : this.readSessionFile(sessionId);
+    sessionData.title = title.trim();
+    this.saveSession(sessionData);
+    
+    return sessionData;
+  }
+
+  /**
+   * 删除超过指定天数未更新的会话
+   * @param {number} days - 天数
+   * @param {Object} options - 可选项
+   * @param {boolean} [options.dryRun] - 只返回将被删除的会话，不实际删除
+   * @returns {Array} 被删除（或将被删除）的会话摘要
+   */
+  pruneSessions(days, { dryRun = false } = {}) {
+    if (!Number.isFinite(days) || days < 0) {
+      throw new Error(`无效的天数: ${days}`);
+    }
+    
+    const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+    const expired = this.listSessions().filter(session => 
+      new Date(session.updatedAt).getTime() < cutoff
+    );
+    
+    if (!dryRun) {
+      expired.forEach(session => this.deleteSession(session.id));
+    }
+    
+    return expired;
+  }
+
+  /**
+   * 读取会话文件（不切换当前会话）
+   */
+  readSessionFile(sessionId) {
+    const sessionPath = this.getSessionPath(sessionId);
+    
+    if (!existsSync(sessionPath)) {
+      throw new Error(`会话不存在: ${sessionId}`);
+    }
+    
+    try {
+      return JSON.parse(readFileSync(sessionPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`加载会话失败: ${error.message}`);
+    }
+  }
+
   /**
    * 获取当前会话
    */
@@ -281,15 +411,22 @@ export class SessionService {
       throw new Error('没有指定的会话');
     }
     
-    const sessionData = sessionId ? this.loadSession(sessionId) : this.sessionData;
+    const sessionData = sessionId ? this.readSessionFile(sessionId) : this.sessionData;
     
     switch (format) {
       case 'json':
         return JSON.stringify(sessionData, null, 2);
       
+      case 'jsonl':
+        return this.exportToJsonl(sessionData);
+      
       case 'markdown':
+      case 'md':
         return this.exportToMarkdown(sessionData);
       
+      case 'html':
+        return this.exportToHtml(sessionData);
+      
       case 'text':
         return this.exportToText(sessionData);
       
@@ -299,7 +436,26 @@ export class SessionService {
   }
 
   /**
-   * 导出为 Markdown 格式
+   * 导出为 JSONL 格式：首行为会话信息，之后每行一个消息事件
+   */
+  exportToJsonl(sessionData) {
+    const { history, ...session } = sessionData;
+    const lines = [JSON.stringify({ type: 'session', ...session })];
+    
+    history.forEach((message, index) => {
+      lines.push(JSON.stringify({
+        type: 'message',
+        sessionId: sessionData.id,
+        index,
+        ...message
+      }));
+    });
+    
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * 导出为 Markdown 格式（包含工具调用参数和结果）
    */
   exportToMarkdown(sessionData) {
     let markdown = `# ${sessionData.title}\n\n`;
@@ -309,9 +465,24 @@ export class SessionService {
     markdown += `---\n\n`;
     
     for (const message of sessionData.history) {
-      const roleIcon = message.role === 'user' ? '👤' : '🤖';
-      markdown += `## ${roleIcon} ${message.role.toUpperCase()}\n\n`;
-      markdown += `${message.content}\n\n`;
+      if (message.role === 'tool') {
+        markdown += `## 🔧 TOOL RESULT${message.name ? `: ${message.name}` : ''}\n\n`;
+        if (message.tool_call_id) {
+          markdown += `*调用 ID: ${message.tool_call_id}*\n\n`;
+        }
+        markdown += `${fence(formatPayload(message.content), 'json')}\n\n`;
+      } else {
+        const roleIcon = message.role === 'user' ? '👤' : '🤖';
+        markdown += `## ${roleIcon} ${message.role.toUpperCase()}\n\n`;
+        if (message.content) {
+          markdown += `${message.content}\n\n`;
+        }
+        for (const toolCall of message.tool_calls || []) {
+          markdown += `### 🔧 工具调用: ${toolCall.name}\n\n`;
+          markdown += `*调用 ID: ${toolCall.id}*\n\n`;
+          markdown += `${fence(JSON.stringify(toolCall.arguments ?? {}, null, 2), 'json')}\n\n`;
+        }
+      }
       markdown += `*时间: ${message.timestamp}*\n\n`;
       markdown += `---\n\n`;
     }
@@ -319,6 +490,63 @@ export class SessionService {
     return markdown;
   }
 
+  /**
+   * 导出为独立 HTML 页面，工具调用可折叠
+   * 页面内嵌完整会话数据，可通过 importSession 重新导入
+   */
+  exportToHtml(sessionData) {
+    const messages = sessionData.history.map(message => {
+      const parts = [];
+      
+      if (message.role === 'tool') {
+        parts.push(`<details class="tool-result"><summary>🔧 Tool result${message.name ? `: ${escapeHtml(message.name)}` : ''}</summary><pre>${escapeHtml(formatPayload(message.content))}</pre></details>`);
+      } else {
+        if (message.content) {
+          parts.push(`<div class="content">${escapeHtml(message.content)}</div>`);
+        }
+        for (const toolCall of message.tool_calls || []) {
+          parts.push(`<details class="tool-call"><summary>🔧 ${escapeHtml(toolCall.name)}</summary><pre>${escapeHtml(JSON.stringify(toolCall.arguments ?? {}, null, 2))}</pre></details>`);
+        }
+      }
+      
+      return `<section class="message ${escapeHtml(message.role)}">
+  <header><span class="role">${escapeHtml(message.role)}</span><time>${escapeHtml(message.timestamp || '')}</time></header>
+  ${parts.join('\n  ')}
+</section>`;
+    });
+    
+    // 防止会话内容中的 </script> 提前结束内嵌数据
+    const embedded = JSON.stringify(sessionData).replace(/</g, '\\u003c');
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(sessionData.title)}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", sans-serif; max-width: 860px; margin: 2rem auto; padding: 0 1rem; color: #1f2328; }
+  .meta { color: #656d76; font-size: 0.9rem; }
+  .message { border: 1px solid #d0d7de; border-radius: 8px; margin: 1rem 0; padding: 0.75rem 1rem; }
+  .message.user { background: #f6f8fa; }
+  .message.tool { background: #fbfaf5; }
+  .message header { display: flex; justify-content: space-between; color: #656d76; font-size: 0.8rem; margin-bottom: 0.5rem; }
+  .role { font-weight: 600; text-transform: uppercase; }
+  .content { white-space: pre-wrap; }
+  details { margin-top: 0.5rem; }
+  summary { cursor: pointer; font-family: monospace; }
+  pre { background: #f6f8fa; padding: 0.75rem; overflow-x: auto; border-radius: 6px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(sessionData.title)}</h1>
+<p class="meta">Created ${escapeHtml(sessionData.createdAt)} · Updated ${escapeHtml(sessionData.updatedAt)} · ${sessionData.history.length} messages</p>
+${messages.join('\n')}
+<script type="application/json" id="session-data">${embedded}</script>
+</body>
+</html>
+`;
+  }
+
   /**
    * 导出为纯文本格式
    */
@@ -331,13 +559,102 @@ export class SessionService {
     
     for (const message of sessionData.history) {
       text += `[${message.role.toUpperCase()}] ${message.timestamp}\n`;
-      text += `${message.content}\n\n`;
-      text += `${'-'.repeat(50)}\n\n`;
+      if (message.content) {
+        text += `${message.content}\n`;
+      }
+      for (const toolCall of message.tool_calls || []) {
+        text += `-> ${toolCall.name}(${JSON.stringify(toolCall.arguments ?? {})})\n`;
+      }
+      text += `\n${'-'.repeat(50)}\n\n`;
     }
     
     return text;
   }
 
+  /**
+   * 导入会话（支持 json、jsonl 和 html 导出格式；markdown 和 text 不含完整数据，不可导入）
+   * @param {string} content - 导出文件内容
+   * @param {string} [format] - 格式，省略时自动检测
+   * @returns {Object} 导入后的会话数据
+   */
+  importSession(content, format = null) {
+    const detected = format || detectExportFormat(content);
+    let sessionData;
+    
+    try {
+      switch (detected) {
+        case 'json':
+          sessionData = JSON.parse(content);
+          break;
+        
+        case 'jsonl': {
+          const events = content.split('\n')
+            .filter(line => line.trim())
+            .map(line => JSON.parse(line));
+          const header = events.find(event => event.type === 'session');
+          if (!header) {
+            throw new Error('缺少 session 行');
+          }
+          const { type, ...session } = header;
+          sessionData = {
+            ...session,
+            history: events
+              .filter(event => event.type === 'message')
+              .sort((a, b) => a.index - b.index)
+              .map(({ type, sessionId, index, ...message }) => message)
+          };
+          break;
+        }
+        
+        case 'html': {
+          const match = content.match(/<script type="application\/json" id="session-data">([\s\S]*?)<\/script>/);
+          if (!match) {
+            throw new Error('HTML 中没有内嵌的会话数据');
+          }
+          sessionData = JSON.parse(match[1]);
+          break;
+        }
+        
+        case 'markdown':
+        case 'md':
+        case 'text':
+          throw new Error(`${detected} 导出只用于阅读，无法导入，请使用 json、jsonl 或 html 格式导出`);
+        
+        default:
+          throw new Error(`不支持的导入格式: ${detected}`);
+      }
+    } catch (error) {
+      throw new Error(`导入会话失败: ${error.message}`);
+    }
+    
+    if (!sessionData || !Array.isArray(sessionData.history)) {
+      throw new Error('导入会话失败: 缺少消息历史');
+    }
+    
+    const history = sanitizeImportedHistory(sessionData.history);
+    // 工作目录由导入者决定（--resume 时使用 --dir），不沿用文件中的路径
+    const { workingDir, ...context } = asObject(sessionData.context);
+    
+    // 只沿用 generateSessionId 格式的 ID（ID 即文件名），冲突时生成新 ID，避免覆盖已有会话
+    const validId = typeof sessionData.id === 'string' && SESSION_ID_PATTERN.test(sessionData.id);
+    const existing = validId && existsSync(this.getSessionPath(sessionData.id));
+    const imported = {
+      id: validId && !existing ? sessionData.id : this.generateSessionId(),
+      title: typeof sessionData.title === 'string' && sessionData.title ? sessionData.title : 'Imported Session',
+      createdAt: typeof sessionData.createdAt === 'string' ? sessionData.createdAt : new Date().toISOString(),
+      history,
+      context,
+      metadata: {
+        ...asObject(sessionData.metadata),
+        messageCount: history.length,
+        importedAt: new Date().toISOString()
+      }
+    };
+    
+    this.saveSession(imported);
+    return imported;
+  }
+
   /**
    * 获取会话统计信息
    */
@@ -354,4 +671,111 @@ export class SessionService {
       newestSession: sessions.length > 0 ? sessions[0] : null
     };
   }
-}
\ No newline at end of file
+}
+
+/**
+ * 根据内容检测导出格式
+ */
+function detectExportFormat(content) {
+  const trimmed = content.trimStart();
+  if (trimmed.startsWith('<')) {
+    return 'html';
+  }
+  if (trimmed.startsWith('#')) {
+    return 'markdown';
+  }
+  
+  const firstLine = trimmed.split('\n', 1)[0];
+  try {
+    const parsed = JSON.parse(firstLine);
+    if (parsed && parsed.type === 'session') {
+      return 'jsonl';
+    }
+  } catch (error) {
+    // 首行不是完整 JSON，按普通 JSON 处理
+  }
+  return 'json';
+}
+
+/**
+ * 工具结果格式化：JSON 内容美化输出
+ */
+function formatPayload(content) {
+  if (typeof content !== 'string') {
+    return JSON.stringify(content ?? null, null, 2);
+  }
+  try {
+    return JSON.stringify(JSON.parse(content), null, 2);
+  } catch (error) {
+    return content;
+  }
+}
+
+/**
+ * 生成不会被内容中的反引号截断的代码块
+ */
+function fence(content, lang = '') {
+  const longest = Math.max(2, ...(content.match(/`+/g) || []).map(run => run.length));
+  const marker = '`'.repeat(longest + 1);
+  return `${marker}${lang}\n${content}\n${marker}`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * 校验导入的消息：只接受 user / assistant / tool 消息，工具结果必须对应前面的工具调用，
+ * 只复制已知字段，避免导入文件注入系统消息或伪造的工具结果
+ */
+function sanitizeImportedHistory(history) {
+  const toolCallIds = new Set();
+
+  return history.map((message, index) => {
+    const invalid = (reason) => new Error(`导入会话失败: 第 ${index + 1} 条消息${reason}`);
+    if (!message || typeof message !== 'object' || !IMPORTED_ROLES.includes(message.role)) {
+      throw invalid(`的角色无效（只支持 ${IMPORTED_ROLES.join('、')}）`);
+    }
+    if (message.content !== null && message.content !== undefined && typeof message.content !== 'string') {
+      throw invalid('的内容不是字符串');
+    }
+
+    const sanitized = {
+      ...(typeof message.id === 'string' && { id: message.id }),
+      role: message.role,
+      content: message.content ?? null,
+      ...(typeof message.timestamp === 'string' && { timestamp: message.timestamp })
+    };
+
+    if (message.role === 'assistant' && message.tool_calls !== undefined) {
+      if (!Array.isArray(message.tool_calls) || message.tool_calls.some(call =>
+        !call || typeof call.id !== 'string' || typeof call.name !== 'string' ||
+        (call.arguments !== undefined && (typeof call.arguments !== 'object' || Array.isArray(call.arguments)))
+      )) {
+        throw invalid('的工具调用格式无效');
+      }
+      sanitized.tool_calls = message.tool_calls.map(({ id, name, arguments: args }) => ({ id, name, arguments: args ?? {} }));
+      sanitized.tool_calls.forEach(call => toolCallIds.add(call.id));
+    }
+
+    if (message.role === 'tool') {
+      if (typeof message.tool_call_id !== 'string' || !toolCallIds.has(message.tool_call_id)) {
+        throw invalid('是没有对应工具调用的工具结果');
+      }
+      sanitized.tool_call_id = message.tool_call_id;
+      if (typeof message.name === 'string') {
+        sanitized.name = message.name;
+      }
+    }
+
+    return sanitized;
+  });
+}
+
+function asObject(value) {
+  return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+}
@@ -0,0 +1,266 @@
+/**
+ * GIT_TOOLS: Git 查询工具
+ *
+ * 基于 GitService 提供只读的 git_status、git_diff、git_log、git_show
+ * 输出超过 tools.maxOutputBytes 时截断
+ */
+
+import { relative, resolve, isAbsolute } from 'path';
+
+// git_log 单次最多返回的提交数
+const MAX_LOG_COUNT = 100;
+
+/**
+ * 各个 Git 工具共用的构造参数和路径处理
+ */
+class GitToolBase {
+  readOnly = true;
+
+  /**
+   * @param {Object} options
+   * @param {import('../services/git-service.js').GitService} options.gitService - Git 服务
+   * @param {import('../utils/path-policy.js').PathPolicy} [options.pathPolicy] - 校验 path 参数
+   * @param {number} [options.maxOutputBytes] - 返回给模型的最大输出字节数
+   */
+  constructor({ gitService, pathPolicy, maxOutputBytes = 65536 }) {
+    this.gitService = gitService;
+    this.pathPolicy = pathPolicy;
+    this.maxOutputBytes = maxOutputBytes;
+  }
+
+  validatePath(path) {
+    if (path === undefined || path === '') {
+      return null;
+    }
+    if (typeof path !== 'string') {
+      return 'path must be a string';
+    }
+    const error = this.pathPolicy?.check(path);
+    if (error) {
+      return error;
+    }
+    const repoPath = this.toRepoPath(path);
+    if (repoPath.startsWith('..') || isAbsolute(repoPath)) {
+      return `Path is outside the git repository: ${path}`;
+    }
+    return null;
+  }
+
+  validateRef(ref, required = false) {
+    if (ref === undefined || ref === '') {
+      return required ? 'ref must be a non-empty string' : null;
+    }
+    if (typeof ref !== 'string' || ref.startsWith('-')) {
+      return `Invalid git ref: ${ref}`;
+    }
+    return null;
+  }
+
+  /**
+   * 转换为相对于仓库根目录的路径
+   */
+  toRepoPath(path) {
+    const absolutePath = this.pathPolicy
+      ? this.pathPolicy.resolve(path)
+      : resolve(this.gitService.projectRoot, path);
+    return relative(this.gitService.projectRoot, absolutePath) || '.';
+  }
+
+  /**
+   * 包装 GitService 的输出，截断时附加提示
+   */
+  formatOutput({ output, truncated }, summary, emptyContent) {
+    let content = output.trimEnd();
+    if (truncated) {
+      content += `\n\n... output truncated at ${this.maxOutputBytes} bytes; narrow the request (path, stat, fewer commits) to see more`;
+    }
+    return {
+      success: true,
+      content: content || emptyContent,
+      summary: truncated ? `${summary} (truncated)` : summary
+    };
+  }
+
+  async execute(params) {
+    try {
+      return this.run(params);
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+export class GitStatusTool extends GitToolBase {
+  name = 'git_status';
+  displayName = 'Git Status';
+  description = 'Show the current branch, its upstream tracking state and the staged, unstaged and untracked files ' +
+    '(git status --short --branch).';
+
+  schema = {
+    type: 'object',
+    properties: {}
+  };
+
+  run() {
+    const result = this.gitService.getShortStatus({ maxBytes: this.maxOutputBytes });
+    const changes = result.output.split('\n').filter(line => line && !line.startsWith('##')).length;
+    return this.formatOutput(
+      result,
+      changes === 0 ? 'Working tree clean' : `${changes} changed file(s)`,
+      ''
+    );
+  }
+}
+
+export class GitDiffTool extends GitToolBase {
+  name = 'git_diff';
+  displayName = 'Git Diff';
+  description = 'Show changes as a unified diff. By default shows unstaged changes in the working tree. ' +
+    'Set staged to see what will be committed, or ref to compare against a commit or branch ' +
+    '(e.g. ref "main" shows everything changed since main, including uncommitted work; ' +
+    '"main...HEAD" shows only the commits on this branch).';
+
+  schema = {
+    type: 'object',
+    properties: {
+      staged: {
+        type: 'boolean',
+        description: 'Show staged changes instead of unstaged ones (default false)'
+      },
+      ref: {
+        type: 'string',
+        description: 'Commit, branch or range to compare against (e.g. "main", "HEAD~3", "main...HEAD")'
+      },
+      path: {
+        type: 'string',
+        description: 'Only show changes to this file or directory (absolute, or relative to the workspace root)'
+      },
+      stat: {
+        type: 'boolean',
+        description: 'Only show a per-file summary of changed lines (default false). Useful before fetching large diffs.'
+      }
+    }
+  };
+
+  validateParams(params) {
+    return this.validateRef(params.ref) ?? this.validatePath(params.path);
+  }
+
+  run(params) {
+    const result = this.gitService.getDiff({
+      staged: Boolean(params.staged),
+      ref: params.ref || undefined,
+      paths: params.path ? [this.toRepoPath(params.path)] : [],
+      stat: Boolean(params.stat),
+      maxBytes: this.maxOutputBytes
+    });
+
+    const what = params.ref
+      ? `${params.staged ? 'staged changes' : 'changes'} against ${params.ref}`
+      : params.staged ? 'staged changes' : 'unstaged changes';
+    const where = params.path ? ` in ${params.path}` : '';
+
+    if (result.output.trim() === '') {
+      return {
+        success: true,
+        content: '',
+        summary: `No ${what}${where}`
+      };
+    }
+    return this.formatOutput(result, `Diff of ${what}${where}`, '');
+  }
+}
+
+export class GitLogTool extends GitToolBase {
+  name = 'git_log';
+  displayName = 'Git Log';
+  description = 'List recent commits (short hash, date, author, refs and subject), newest first. ' +
+    'Optionally limit to commits that touched a path, or to a ref or range such as "main..HEAD".';
+
+  schema = {
+    type: 'object',
+    properties: {
+      path: {
+        type: 'string',
+        description: 'Only list commits that changed this file or directory (absolute, or relative to the workspace root)'
+      },
+      ref: {
+        type: 'string',
+        description: 'Branch, commit or range to list (default HEAD)'
+      },
+      max_count: {
+        type: 'number',
+        description: `Maximum number of commits to return (default 20, at most ${MAX_LOG_COUNT})`
+      }
+    }
+  };
+
+  validateParams(params) {
+    if (params.max_count !== undefined && (!Number.isInteger(params.max_count) || params.max_count < 1)) {
+      return 'max_count must be a positive integer';
+    }
+    return this.validateRef(params.ref) ?? this.validatePath(params.path);
+  }
+
+  run(params) {
+    const maxCount = Math.min(params.max_count || 20, MAX_LOG_COUNT);
+    const result = this.gitService.getLog({
+      ref: params.ref || undefined,
+      path: params.path ? this.toRepoPath(params.path) : undefined,
+      maxCount,
+      maxBytes: this.maxOutputBytes
+    });
+
+    const commits = result.output.split('\n').filter(line => line && !line.startsWith(' ')).length;
+    const where = params.path ? ` touching ${params.path}` : '';
+    return this.formatOutput(result, `Listed ${commits} commit(s)${where}`, '(no commits)');
+  }
+}
+
+export class GitShowTool extends GitToolBase {
+  name = 'git_show';
+  displayName = 'Git Show';
+  description = 'Show a commit (message, author, date and patch), or the content of a file as of a commit ' +
+    'when path is given.';
+
+  schema = {
+    type: 'object',
+    properties: {
+      ref: {
+        type: 'string',
+        description: 'Commit hash, branch or tag (e.g. "HEAD", "a1b2c3d", "HEAD~2")'
+      },
+      path: {
+        type: 'string',
+        description: 'Return this file as it was at ref instead of the commit patch (absolute, or relative to the workspace root)'
+      },
+      stat: {
+        type: 'boolean',
+        description: 'Show only the list of changed files instead of the full patch (default false)'
+      }
+    },
+    required: ['ref']
+  };
+
+  validateParams(params) {
+    return this.validateRef(params.ref, true) ?? this.validatePath(params.path);
+  }
+
+  run(params) {
+    const path = params.path ? this.toRepoPath(params.path) : undefined;
+    const result = this.gitService.show(params.ref, {
+      path,
+      stat: Boolean(params.stat),
+      maxBytes: this.maxOutputBytes
+    });
+
+    return this.formatOutput(
+      result,
+      path ? `Showed ${path} at ${params.ref}` : `Showed commit ${params.ref}`,
+      '(empty)'
+    );
+  }
+}
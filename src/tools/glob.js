@@ -0,0 +1,93 @@
+/**
+ * GLOB_TOOL: 文件查找工具
+ *
+ * 基于 FileService 按 glob 模式查找文件，结果按修改时间从新到旧排序
+ */
+
+import { isAbsolute } from 'path';
+
+export class GlobTool {
+  name = 'glob';
+  displayName = 'Find Files';
+  description = 'Find files matching a glob pattern (e.g. "src/**/*.js", "**/*.test.ts"). ' +
+    'Returns absolute paths sorted by modification time, newest first. ' +
+    'Files ignored by .gitignore / .geminiignore are skipped.';
+  readOnly = true;
+
+  schema = {
+    type: 'object',
+    properties: {
+      pattern: {
+        type: 'string',
+        description: 'Glob pattern relative to the search directory'
+      },
+      path: {
+        type: 'string',
+        description: 'Directory to search in (absolute, or relative to the workspace root). Defaults to the workspace root.'
+      }
+    },
+    required: ['pattern']
+  };
+
+  /**
+   * @param {Object} options
+   * @param {import('../services/file-service.js').FileService} options.fileService - 文件发现服务
+   * @param {import('../utils/path-policy.js').PathPolicy} [options.pathPolicy] - 路径访问控制
+   * @param {Object} [options.fileOptions] - files 配置（respectGitIgnore、respectGeminiIgnore、maxFiles）
+   */
+  constructor({ fileService, pathPolicy, fileOptions = {} }) {
+    this.fileService = fileService;
+    this.pathPolicy = pathPolicy;
+    this.fileOptions = fileOptions;
+  }
+
+  validateParams(params) {
+    if (typeof params.pattern !== 'string' || params.pattern.trim() === '') {
+      return 'pattern must be a non-empty string';
+    }
+    // 模式本身不能跳出搜索目录，要搜索其他目录请使用 path 参数
+    if (isAbsolute(params.pattern) || params.pattern.split('/').includes('..')) {
+      return 'pattern must be relative and must not contain ".." segments; use the path parameter to search another directory';
+    }
+    return this.pathPolicy?.check(params.path || '.') ?? null;
+  }
+
+  async execute(params) {
+    try {
+      const cwd = this.pathPolicy
+        ? this.pathPolicy.resolve(params.path || '.')
+        : params.path || this.fileService.projectRoot;
+      const result = await this.fileService.findFiles(params.pattern, { ...this.fileOptions, cwd });
+
+      // 跟随符号链接后落在允许范围外的结果不返回
+      const files = this.pathPolicy
+        ? result.files.filter(file => this.pathPolicy.check(file.path) === null)
+        : result.files;
+
+      if (files.length === 0) {
+        return {
+          success: true,
+          content: '',
+          summary: `No files found matching "${params.pattern}" in ${cwd}`
+        };
+      }
+
+      const lines = files.map(file => file.path);
+      if (result.truncated) {
+        lines.push(`... ${result.total - result.files.length} more files not shown (files.maxFiles)`);
+      }
+
+      return {
+        success: true,
+        content: lines.join('\n'),
+        summary: `Found ${result.total} file(s) matching "${params.pattern}" in ${cwd}` +
+          (result.truncated ? `, showing the ${result.files.length} most recently modified` : '')
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * LIST_DIRECTORY_TOOL: 目录列表工具
+ *
+ * 基于 FileService 列出目录内容，遵循 .gitignore / .geminiignore
+ */
+
+export class ListDirectoryTool {
+  name = 'list_directory';
+  displayName = 'List Directory';
+  description = 'List the files and subdirectories of a directory with their types and sizes. ' +
+    'Entries ignored by .gitignore / .geminiignore are skipped.';
+  readOnly = true;
+
+  schema = {
+    type: 'object',
+    properties: {
+      path: {
+        type: 'string',
+        description: 'Directory to list (absolute, or relative to the workspace root). Defaults to the workspace root.'
+      }
+    }
+  };
+
+  /**
+   * @param {Object} options
+   * @param {import('../services/file-service.js').FileService} options.fileService - 文件发现服务
+   * @param {import('../utils/path-policy.js').PathPolicy} [options.pathPolicy] - 路径访问控制
+   * @param {Object} [options.fileOptions] - files 配置（respectGitIgnore、respectGeminiIgnore、maxFiles）
+   */
+  constructor({ fileService, pathPolicy, fileOptions = {} }) {
+    this.fileService = fileService;
+    this.pathPolicy = pathPolicy;
+    this.fileOptions = fileOptions;
+  }
+
+  validateParams(params) {
+    return this.pathPolicy?.check(params.path || '.') ?? null;
+  }
+
+  async execute(params) {
+    try {
+      const dirPath = this.pathPolicy
+        ? this.pathPolicy.resolve(params.path || '.')
+        : params.path || this.fileService.projectRoot;
+      const listing = this.fileService.listDirectory(dirPath, this.fileOptions);
+
+      const lines = listing.entries.map(entry =>
+        entry.type === 'directory'
+          ? `[DIR]  ${entry.name}/`
+          : `[${entry.type === 'file' ? 'FILE' : entry.type.toUpperCase()}] ${entry.name} (${formatSize(entry.size)})`
+      );
+      if (listing.truncated) {
+        lines.push(`... ${listing.total - listing.entries.length} more entries not shown (files.maxFiles)`);
+      }
+
+      return {
+        success: true,
+        content: lines.length > 0 ? lines.join('\n') : '(empty directory)',
+        summary: `Listed ${listing.entries.length} entries in ${listing.path}` +
+          (listing.ignored > 0 ? ` (${listing.ignored} ignored)` : '')
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
@@ -77,9 +77,10 @@ export function createMcpAwareToolRegistry(baseRegistry) {
      * Execute a tool, handling MCP tools appropriately
      * @param {string} name - The name of the tool to execute
      * @param {Object} params - The parameters to pass to the tool
+     * @param {Object} [options] - Execution options such as an AbortSignal ({ signal })
      * @returns {Promise<any>} The result of executing the tool
      */
-    async executeTool(name, params) {
+    async executeTool(name, params, options) {
       const tool = baseRegistry.getTool(name);
       if (!tool) {
         throw new Error(`Tool not found: ${name}`);
@@ -87,7 +88,7 @@ export function createMcpAwareToolRegistry(baseRegistry) {
 
       // Execute the tool
       try {
-        const result = await tool.execute(params);
+        const result = await tool.execute(params, options);
         return result;
       } catch (error) {
         // Provide better error messages for MCP tools
@@ -1,85 +1,279 @@
 /**
- * MEMORY_TOOL: 记忆持久化工具
- * 
- * 最简化的记忆工具，演示如何持久化用户信息
- * 存储位置：~/.gemini-mini/memory.md
+ * MEMORY_TOOLS: 记忆管理工具
+ *
+ * 基于 MemoryService 保存、列出、搜索（recall）、修改和删除长期记忆
+ * 记忆分为 global（~/.gemini-mini/memory.md）和 project（项目根目录的 GEMINI.memories.md）两种作用域
  */
 
-import { homedir } from 'os';
-import { join } from 'path';
-import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { MEMORY_SCOPES } from '../services/memory-service.js';
 
-export class MemoryTool {
+// recall 单次最多返回的条数
+const MAX_RECALL_LIMIT = 50;
+
+/**
+ * 各个记忆工具共用的构造参数和错误处理
+ */
+class MemoryToolBase {
+  // 记忆保存在记忆文件中，不修改项目文件，执行前不需要检查点
+  modifiesFiles = false;
+
+  /**
+   * @param {Object} options
+   * @param {import('../services/memory-service.js').MemoryService} options.memoryService - 记忆服务
+   */
+  constructor({ memoryService }) {
+    this.memoryService = memoryService;
+  }
+
+  validateScope(scope) {
+    if (scope === undefined || MEMORY_SCOPES.includes(scope)) {
+      return null;
+    }
+    return `scope must be one of: ${MEMORY_SCOPES.join(', ')}`;
+  }
+
+  validateText(value, name) {
+    return typeof value === 'string' && value.trim() ? null : `${name} must be a non-empty string`;
+  }
+
+  /**
+   * 查找记忆，不存在时返回 null（由 run 报告错误，不必先征求确认）
+   */
+  findEntry(id) {
+    try {
+      return this.memoryService.getMemory(id);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async execute(params) {
+    try {
+      return this.run(params);
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+export class MemoryTool extends MemoryToolBase {
   name = 'save_memory';
   displayName = 'Save Memory';
-  description = 'Save a piece of information to long-term memory';
-  
+  description = 'Save a short fact to long-term memory so it is available in future sessions. ' +
+    'Use scope "project" for facts about the current project (stored in the repository), "global" for facts about the user. ' +
+    'Facts that are already saved are not duplicated.';
+  readOnly = false;
+
   schema = {
     type: 'object',
     properties: {
       fact: {
         type: 'string',
-        description: 'The fact or information to remember'
+        description: 'The fact or information to remember, as a single self-contained sentence'
+      },
+      scope: {
+        type: 'string',
+        enum: MEMORY_SCOPES,
+        description: 'Where to save the memory (default "global")'
       }
     },
     required: ['fact']
   };
 
-  constructor() {
-    this.memoryPath = join(homedir(), '.gemini-mini', 'memory.md');
-    this.ensureMemoryFile();
+  validateParams(params) {
+    return this.validateText(params.fact, 'fact') ?? this.validateScope(params.scope);
   }
 
-  ensureMemoryFile() {
-    const dir = join(homedir(), '.gemini-mini');
-    if (!existsSync(dir)) {
-      mkdirSync(dir, { recursive: true });
+  getConfirmationDetails(params) {
+    // 已经记住的内容不会重复写入，不需要确认
+    if (this.memoryService.findDuplicate(params.fact)) {
+      return null;
     }
-    
-    if (!existsSync(this.memoryPath)) {
-      writeFileSync(this.memoryPath, '# Mini Gemini Memory\n\n## Gemini Added Memories\n\n', 'utf8');
+    return {
+      title: `Save to memory (${this.memoryService.getPath(params.scope || 'global')})`,
+      message: `- ${params.fact}`
+    };
+  }
+
+  run(params) {
+    const { entry, duplicate } = this.memoryService.addMemory(params.fact, { scope: params.scope || 'global' });
+    return {
+      success: true,
+      content: formatEntry(entry),
+      summary: duplicate
+        ? `Already remembered (${entry.scope} memory ${entry.id})`
+        : `Remembered: "${entry.text}"`
+    };
+  }
+}
+
+export class ListMemoriesTool extends MemoryToolBase {
+  name = 'list_memories';
+  displayName = 'List Memories';
+  description = 'List all saved long-term memories with their ids and scopes. ' +
+    'Use recall to search them instead, and the ids with update_memory and delete_memory.';
+  readOnly = true;
+
+  schema = {
+    type: 'object',
+    properties: {
+      scope: {
+        type: 'string',
+        enum: MEMORY_SCOPES,
+        description: 'Only list memories of this scope'
+      }
     }
+  };
+
+  validateParams(params) {
+    return this.validateScope(params.scope);
   }
 
-  async execute(params) {
-    try {
-      let content = readFileSync(this.memoryPath, 'utf8');
-      const memoryEntry = `- ${params.fact}`;
-      
-      // Find or create memories section
-      const memoriesSection = '## Gemini Added Memories';
-      const memoriesIndex = content.indexOf(memoriesSection);
-      
-      if (memoriesIndex !== -1) {
-        const insertIndex = memoriesIndex + memoriesSection.length;
-        content = content.slice(0, insertIndex) + '\n' + memoryEntry + content.slice(insertIndex);
-      } else {
-        content += `\n${memoriesSection}\n${memoryEntry}\n`;
+  run(params) {
+    const memories = this.memoryService.listMemories({ scope: params.scope });
+    return {
+      success: true,
+      content: memories.map(formatEntry).join('\n') || '(no memories)',
+      summary: `Found ${memories.length} memor${memories.length === 1 ? 'y' : 'ies'}`
+    };
+  }
+}
+
+export class RecallTool extends MemoryToolBase {
+  name = 'recall';
+  displayName = 'Recall';
+  description = 'Search saved long-term memories by relevance to a query (keyword based, most relevant first). ' +
+    'Only the memories most relevant to the current message are included in the system prompt; ' +
+    'use this to look up others, e.g. user preferences or project facts from earlier sessions.';
+  readOnly = true;
+
+  schema = {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        description: 'What to look for, e.g. "package manager" or "how to run tests"'
+      },
+      limit: {
+        type: 'number',
+        description: `Maximum number of memories to return (default 10, at most ${MAX_RECALL_LIMIT})`
+      },
+      scope: {
+        type: 'string',
+        enum: MEMORY_SCOPES,
+        description: 'Only search memories of this scope'
       }
-      
-      writeFileSync(this.memoryPath, content, 'utf8');
-      
-      return {
-        success: true,
-        summary: `Remembered: "${params.fact}"`
-      };
-    } catch (error) {
-      return {
-        success: false,
-        error: error.message
-      };
+    },
+    required: ['query']
+  };
+
+  validateParams(params) {
+    return this.validateText(params.query, 'query') ?? this.validateScope(params.scope);
+  }
+
+  run(params) {
+    const limit = Math.min(Math.max(Math.floor(Number(params.limit)) || 10, 1), MAX_RECALL_LIMIT);
+    const memories = this.memoryService.searchMemories(params.query, { scope: params.scope, limit });
+    return {
+      success: true,
+      content: memories.map(formatEntry).join('\n') || '(no matching memories)',
+      summary: `Recalled ${memories.length} memor${memories.length === 1 ? 'y' : 'ies'} for "${params.query}"`
+    };
+  }
+}
+
+export class UpdateMemoryTool extends MemoryToolBase {
+  name = 'update_memory';
+  displayName = 'Update Memory';
+  description = 'Replace the text of a saved memory, e.g. when a remembered fact is outdated or wrong. ' +
+    'Get the id from list_memories.';
+  readOnly = false;
+
+  schema = {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'string',
+        description: 'Id of the memory to change'
+      },
+      fact: {
+        type: 'string',
+        description: 'The corrected fact'
+      }
+    },
+    required: ['id', 'fact']
+  };
+
+  validateParams(params) {
+    return this.validateText(params.id, 'id') ?? this.validateText(params.fact, 'fact');
+  }
+
+  getConfirmationDetails(params) {
+    const entry = this.findEntry(params.id);
+    if (!entry) {
+      return null;
     }
+    return {
+      title: `Update ${entry.scope} memory ${entry.id}`,
+      message: `- ${entry.text}\n+ ${params.fact}`
+    };
   }
 
-  getAllMemories() {
-    try {
-      const content = readFileSync(this.memoryPath, 'utf8');
-      const lines = content.split('\n');
-      return lines
-        .filter(line => line.startsWith('- '))
-        .map(line => line.substring(2));
-    } catch (error) {
-      return [];
+  run(params) {
+    const entry = this.memoryService.updateMemory(params.id, params.fact);
+    return {
+      success: true,
+      content: formatEntry(entry),
+      summary: `Updated memory: "${entry.text}"`
+    };
+  }
+}
+
+export class DeleteMemoryTool extends MemoryToolBase {
+  name = 'delete_memory';
+  displayName = 'Delete Memory';
+  description = 'Delete a saved memory that is wrong or no longer relevant. Get the id from list_memories.';
+  readOnly = false;
+
+  schema = {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'string',
+        description: 'Id of the memory to delete'
+      }
+    },
+    required: ['id']
+  };
+
+  validateParams(params) {
+    return this.validateText(params.id, 'id');
+  }
+
+  getConfirmationDetails(params) {
+    const entry = this.findEntry(params.id);
+    if (!entry) {
+      return null;
     }
+    return {
+      title: `Delete ${entry.scope} memory ${entry.id}`,
+      message: `- ${entry.text}`
+    };
   }
-}
\ No newline at end of file
+
+  run(params) {
+    const entry = this.memoryService.deleteMemory(params.id);
+    return {
+      success: true,
+      content: `Deleted ${formatEntry(entry)}`,
+      summary: `Forgot: "${entry.text}"`
+    };
+  }
+}
+
+function formatEntry(entry) {
+  return `${entry.id} [${entry.scope}] ${entry.text}`;
+}
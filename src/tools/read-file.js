@@ -8,27 +8,45 @@ export class ReadFileTool {
   name = 'read_file';
   displayName = 'Read File';
   description = 'Read the contents of a file at the specified path';
+  readOnly = true;
   
   schema = {
     type: 'object',
     properties: {
       path: {
         type: 'string',
-        description: 'Absolute path to the file to read'
+        description: 'Path to the file to read (absolute, or relative to the workspace root)'
       }
     },
     required: ['path']
   };
 
+  /**
+   * @param {Object} [options]
+   * @param {import('../utils/path-policy.js').PathPolicy} [options.pathPolicy] - 路径访问控制
+   */
+  constructor({ pathPolicy } = {}) {
+    this.pathPolicy = pathPolicy;
+  }
+
+  validateParams(params) {
+    return this.pathPolicy?.check(params.path) ?? null;
+  }
+
+  resolvePath(path) {
+    return this.pathPolicy ? this.pathPolicy.resolve(path) : path;
+  }
+
   async execute(params) {
     try {
       const { readFileSync } = await import('fs');
-      const content = readFileSync(params.path, 'utf8');
+      const filePath = this.resolvePath(params.path);
+      const content = readFileSync(filePath, 'utf8');
       
       return {
         success: true,
         content: content,
-        summary: `Read ${content.length} characters from ${params.path}`
+        summary: `Read ${content.length} characters from ${filePath}`
       };
     } catch (error) {
       return {
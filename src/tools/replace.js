@@ -0,0 +1,195 @@
+/**
+ * REPLACE_TOOL: 精确文本替换工具
+ *
+ * 用 old_string / new_string 修改文件中的片段，无需回传整个文件
+ * 匹配不到或匹配次数与预期不符时直接失败，不做任何修改
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { createUnifiedDiff, countDiffLines } from '../utils/diff.js';
+
+export class ReplaceTool {
+  name = 'replace';
+  displayName = 'Edit';
+  description = 'Replace exact text in an existing file. old_string must match the file exactly, including whitespace ' +
+    'and indentation, and should include enough surrounding lines to be unique. ' +
+    'Prefer this over write_file for changing part of a file. Read the file first.';
+  readOnly = false;
+
+  schema = {
+    type: 'object',
+    properties: {
+      path: {
+        type: 'string',
+        description: 'Path to the file to edit (absolute, or relative to the workspace root)'
+      },
+      old_string: {
+        type: 'string',
+        description: 'Exact text to replace'
+      },
+      new_string: {
+        type: 'string',
+        description: 'Text to replace old_string with'
+      },
+      expected_replacements: {
+        type: 'number',
+        description: 'Number of occurrences to replace (default 1). The edit fails if the actual count differs.'
+      }
+    },
+    required: ['path', 'old_string', 'new_string']
+  };
+
+  /**
+   * @param {Object} [options]
+   * @param {import('../utils/path-policy.js').PathPolicy} [options.pathPolicy] - 路径访问控制
+   */
+  constructor({ pathPolicy } = {}) {
+    this.pathPolicy = pathPolicy;
+  }
+
+  validateParams(params) {
+    const pathError = this.pathPolicy?.check(params.path);
+    if (pathError) {
+      return pathError;
+    }
+    return this.calculateEdit(params).error || null;
+  }
+
+  resolvePath(path) {
+    return this.pathPolicy ? this.pathPolicy.resolve(path) : path;
+  }
+
+  /**
+   * 计算替换结果，不写入文件
+   * @returns {{filePath: string, oldContent?: string, newContent?: string, ranges?: Array, error?: string}}
+   */
+  calculateEdit(params) {
+    const { old_string: oldString, new_string: newString } = params;
+    const expected = params.expected_replacements ?? 1;
+
+    if (typeof oldString !== 'string' || typeof newString !== 'string') {
+      return { error: 'old_string and new_string must be strings' };
+    }
+    if (oldString === '') {
+      return { error: 'old_string must not be empty. Use write_file to create a new file.' };
+    }
+    if (oldString === newString) {
+      return { error: 'old_string and new_string are identical, nothing to change' };
+    }
+    if (!Number.isInteger(expected) || expected < 1) {
+      return { error: 'expected_replacements must be a positive integer' };
+    }
+
+    const filePath = this.resolvePath(params.path);
+    if (!existsSync(filePath)) {
+      return { filePath, error: `File not found: ${filePath}. Use write_file to create a new file.` };
+    }
+
+    const oldContent = readFileSync(filePath, 'utf8');
+    let search = oldString;
+    let replacement = newString;
+
+    // 文件使用 CRLF 而参数使用 LF 时按文件的换行风格匹配
+    if (!oldContent.includes(search) && oldContent.includes('\r\n')) {
+      search = oldString.replace(/\r?\n/g, '\r\n');
+      replacement = newString.replace(/\r?\n/g, '\r\n');
+    }
+
+    const positions = findOccurrences(oldContent, search);
+    if (positions.length === 0) {
+      return {
+        filePath,
+        error: `old_string was not found in ${filePath}. ` +
+          'Read the file again and copy the exact text, including whitespace and indentation.'
+      };
+    }
+    if (positions.length !== expected) {
+      return {
+        filePath,
+        error: `Expected ${expected} occurrence(s) of old_string in ${filePath} but found ${positions.length}. ` +
+          (positions.length > expected
+            ? 'Include more surrounding context to make old_string unique, or set expected_replacements.'
+            : 'Set expected_replacements to the actual count if every occurrence should change.')
+      };
+    }
+
+    const newContent = oldContent.split(search).join(replacement);
+    return {
+      filePath,
+      oldContent,
+      newContent,
+      ranges: getChangedRanges(newContent, positions, search, replacement)
+    };
+  }
+
+  async getConfirmationDetails(params) {
+    const edit = this.calculateEdit(params);
+    if (edit.error) {
+      throw new Error(edit.error);
+    }
+
+    const diff = createUnifiedDiff(edit.oldContent, edit.newContent, {
+      fromFile: edit.filePath,
+      toFile: edit.filePath
+    });
+    const { added, removed } = countDiffLines(diff);
+    return {
+      title: `Edit ${edit.filePath} (+${added} -${removed})`,
+      diff
+    };
+  }
+
+  async execute(params) {
+    try {
+      // 确认期间文件可能已变化，写入前重新计算
+      const edit = this.calculateEdit(params);
+      if (edit.error) {
+        return { success: false, error: edit.error };
+      }
+
+      writeFileSync(edit.filePath, edit.newContent, 'utf8');
+
+      const lines = edit.ranges
+        .map(({ start, end }) => (start === end ? `${start}` : `${start}-${end}`))
+        .join(', ');
+      return {
+        success: true,
+        summary: `Replaced ${edit.ranges.length} occurrence(s) in ${edit.filePath} (lines ${lines})`,
+        ranges: edit.ranges
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+function findOccurrences(content, search) {
+  const positions = [];
+  let index = content.indexOf(search);
+  while (index !== -1) {
+    positions.push(index);
+    index = content.indexOf(search, index + search.length);
+  }
+  return positions;
+}
+
+/**
+ * 计算每处替换在新文件中占据的行范围（从 1 开始）
+ */
+function getChangedRanges(newContent, positions, search, replacement) {
+  const delta = replacement.length - search.length;
+  const replacementLines = replacement.split('\n').length - 1;
+
+  let line = 1;
+  let scanned = 0;
+  return positions.map((position, i) => {
+    const newPosition = position + delta * i;
+    for (; scanned < newPosition; scanned++) {
+      if (newContent.charCodeAt(scanned) === 10) line++;
+    }
+    return { start: line, end: line + replacementLines };
+  });
+}
@@ -0,0 +1,129 @@
+/**
+ * SEARCH_FILE_CONTENT_TOOL: 内容搜索工具
+ *
+ * 基于 FileService 在工作区文件中搜索正则表达式，返回文件路径、行号和匹配行
+ */
+
+import { isAbsolute } from 'path';
+
+// 单行匹配内容的最大长度，避免压缩后的代码占满结果
+const MAX_LINE_LENGTH = 300;
+
+export class SearchFileContentTool {
+  name = 'search_file_content';
+  displayName = 'Search Text';
+  description = 'Search file contents for a regular expression and return matching lines with file paths and line numbers. ' +
+    'Files ignored by .gitignore / .geminiignore and binary files are skipped.';
+  readOnly = true;
+
+  schema = {
+    type: 'object',
+    properties: {
+      pattern: {
+        type: 'string',
+        description: 'JavaScript regular expression to search for (e.g. "loadConfig\\(", "TODO|FIXME")'
+      },
+      include: {
+        type: 'string',
+        description: 'Glob pattern for files to search (e.g. "**/*.js", "src/**/*.{ts,tsx}"). Defaults to all files.'
+      },
+      path: {
+        type: 'string',
+        description: 'Directory to search in (absolute, or relative to the workspace root). Defaults to the workspace root.'
+      },
+      case_sensitive: {
+        type: 'boolean',
+        description: 'Match case exactly (default false)'
+      }
+    },
+    required: ['pattern']
+  };
+
+  /**
+   * @param {Object} options
+   * @param {import('../services/file-service.js').FileService} options.fileService - 文件发现服务
+   * @param {import('../utils/path-policy.js').PathPolicy} [options.pathPolicy] - 路径访问控制
+   * @param {Object} [options.fileOptions] - files 配置（respectGitIgnore、respectGeminiIgnore、maxFiles）
+   * @param {number} [options.maxResults] - 最多返回的匹配行数
+   */
+  constructor({ fileService, pathPolicy, fileOptions = {}, maxResults = 200 }) {
+    this.fileService = fileService;
+    this.pathPolicy = pathPolicy;
+    this.fileOptions = fileOptions;
+    this.maxResults = maxResults;
+  }
+
+  validateParams(params) {
+    if (typeof params.pattern !== 'string' || params.pattern === '') {
+      return 'pattern must be a non-empty string';
+    }
+    try {
+      new RegExp(params.pattern);
+    } catch (error) {
+      return error.message;
+    }
+    if (params.include && (isAbsolute(params.include) || params.include.split('/').includes('..'))) {
+      return 'include must be relative and must not contain ".." segments; use the path parameter to search another directory';
+    }
+    return this.pathPolicy?.check(params.path || '.') ?? null;
+  }
+
+  async execute(params) {
+    try {
+      const cwd = this.pathPolicy
+        ? this.pathPolicy.resolve(params.path || '.')
+        : params.path || this.fileService.projectRoot;
+      const regex = new RegExp(params.pattern, params.case_sensitive ? '' : 'i');
+
+      // files.maxFiles 只限制列出文件的结果数，搜索内容时检查全部未被忽略的文件，由 maxResults 限制
+      const { maxFiles, ...fileOptions } = this.fileOptions;
+      const result = await this.fileService.searchContent(regex, {
+        ...fileOptions,
+        cwd,
+        include: params.include || '**/*',
+        maxResults: this.maxResults
+      });
+
+      // 跟随符号链接后落在允许范围外的文件不返回
+      const matches = this.pathPolicy
+        ? result.matches.filter(match => this.pathPolicy.check(match.path) === null)
+        : result.matches;
+
+      const where = `in ${cwd}${params.include ? ` (${params.include})` : ''}`;
+      if (matches.length === 0) {
+        return {
+          success: true,
+          content: '',
+          summary: `No matches for /${params.pattern}/ ${where}, searched ${result.filesSearched} file(s)`
+        };
+      }
+
+      const lines = [];
+      let currentFile = null;
+      for (const match of matches) {
+        if (match.path !== currentFile) {
+          currentFile = match.path;
+          lines.push(`${lines.length > 0 ? '\n' : ''}File: ${match.path}`);
+        }
+        const text = match.text.length > MAX_LINE_LENGTH
+          ? `${match.text.slice(0, MAX_LINE_LENGTH)}...`
+          : match.text;
+        lines.push(`L${match.line}: ${text}`);
+      }
+      if (result.truncated) {
+        lines.push('\n... results truncated; narrow the pattern, include or path to see more');
+      }
+
+      return {
+        success: true,
+        content: lines.join('\n'),
+        summary: `Found ${matches.length}${result.truncated ? '+' : ''} match(es) for /${params.pattern}/ ${where}`
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
@@ -0,0 +1,309 @@
+/**
+ * SHELL_TOOL: Shell 命令执行工具
+ *
+ * 在工作区中通过 bash 执行命令，捕获 stdout / stderr / 退出码
+ * - 输出超过上限时保留开头和结尾
+ * - 超时（tools.toolTimeout）或取消时结束整个进程组
+ * - 命令前缀匹配 security.allowedCommands 时直接执行，否则需要用户确认
+ */
+
+import { spawn } from 'child_process';
+import { parse } from 'shell-quote';
+
+// 可以直接执行的命令连接符，其余操作符（重定向、子 shell 等）都需要确认
+const SAFE_OPERATORS = new Set(['&&', '||', ';', '|', 'glob']);
+
+// 发送 SIGTERM 后等待进程退出的时间
+const KILL_GRACE_MS = 2000;
+
+export class ShellTool {
+  name = 'run_shell_command';
+  displayName = 'Shell';
+  description = 'Run a shell command with bash in the workspace and return its stdout, stderr and exit code. ' +
+    'Use it for builds, tests, linters and inspecting the project. Commands run non-interactively.';
+  readOnly = false;
+
+  schema = {
+    type: 'object',
+    properties: {
+      command: {
+        type: 'string',
+        description: 'Command to run with `bash -c`'
+      },
+      directory: {
+        type: 'string',
+        description: 'Directory to run the command in (relative to the workspace root, defaults to the root)'
+      },
+      description: {
+        type: 'string',
+        description: 'Short explanation of what the command does, shown to the user'
+      }
+    },
+    required: ['command']
+  };
+
+  /**
+   * @param {Object} options
+   * @param {string} options.workspaceRoot - 默认工作目录
+   * @param {import('../utils/path-policy.js').PathPolicy} [options.pathPolicy] - 校验 directory 参数
+   * @param {string[]} [options.allowedCommands] - 无需确认的命令前缀（security.allowedCommands）
+   * @param {number} [options.timeout] - 超时时间（毫秒，tools.toolTimeout）
+   * @param {number} [options.maxOutputBytes] - stdout / stderr 各自保留的最大字节数
+   */
+  constructor({ workspaceRoot, pathPolicy, allowedCommands = [], timeout = 30000, maxOutputBytes = 65536 }) {
+    this.workspaceRoot = workspaceRoot;
+    this.pathPolicy = pathPolicy;
+    this.allowedCommands = allowedCommands.map(prefix => tokenize(prefix)).filter(words => words.length > 0);
+    this.timeout = timeout;
+    this.maxOutputBytes = maxOutputBytes;
+    // 本次会话中用户选择"始终允许"的命令前缀（如 ['git', 'status']）
+    this.sessionAllowed = [];
+  }
+
+  validateParams(params) {
+    if (typeof params.command !== 'string' || params.command.trim() === '') {
+      return 'command must be a non-empty string';
+    }
+    if (params.directory && this.pathPolicy) {
+      return this.pathPolicy.check(params.directory);
+    }
+    return null;
+  }
+
+  /**
+   * 允许列表中的命令无需确认；其他命令显示完整命令行
+   */
+  getConfirmationDetails(params) {
+    const segments = splitCommand(params.command);
+
+    if (segments && segments.every(words => this.isAllowed(words))) {
+      return null;
+    }
+
+    const details = {
+      title: `Run shell command${params.description ? `: ${params.description}` : ''}`,
+      message: `$ ${params.command}\n  in ${this.resolveDirectory(params.directory)}`
+    };
+    // 无法解析的命令（重定向、命令替换等）不提供"始终允许"，每次都需要确认
+    if (!segments) {
+      return { ...details, allowAlways: false };
+    }
+
+    const prefixes = uniquePrefixes(segments.map(commandPrefix));
+    return {
+      ...details,
+      alwaysLabel: `always for ${prefixes.map(prefix => prefix.join(' ')).join(', ')}`,
+      rememberAlways: () => this.sessionAllowed.push(...prefixes)
+    };
+  }
+
+  isAllowed(words) {
+    return [...this.allowedCommands, ...this.sessionAllowed].some(prefix =>
+      prefix.length <= words.length && prefix.every((word, i) => words[i] === word)
+    );
+  }
+
+  resolveDirectory(directory) {
+    if (!directory) {
+      return this.workspaceRoot;
+    }
+    return this.pathPolicy ? this.pathPolicy.resolve(directory) : directory;
+  }
+
+  /**
+   * @param {Object} params - { command, directory? }
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - 取消信号，触发时结束整个进程组
+   */
+  async execute(params, { signal } = {}) {
+    let cwd;
+    try {
+      cwd = this.resolveDirectory(params.directory);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+
+    const result = await this.run(params.command, cwd, signal);
+    const output = {
+      command: params.command,
+      directory: cwd,
+      exitCode: result.exitCode,
+      ...(result.signal && { signal: result.signal }),
+      stdout: result.stdout,
+      stderr: result.stderr
+    };
+
+    if (result.error) {
+      return { success: false, ...output, error: result.error };
+    }
+    if (result.timedOut) {
+      return { success: false, ...output, error: `Command timed out after ${this.timeout}ms and was killed` };
+    }
+    if (result.cancelled) {
+      return { success: false, ...output, error: 'Command was cancelled by the user' };
+    }
+    if (result.exitCode !== 0) {
+      return {
+        success: false,
+        ...output,
+        error: result.signal ? `Command terminated by ${result.signal}` : `Command exited with code ${result.exitCode}`
+      };
+    }
+    return { success: true, ...output, summary: `Command exited with code 0` };
+  }
+
+  run(command, cwd, signal) {
+    return new Promise((resolve) => {
+      const stdout = new OutputBuffer(this.maxOutputBytes);
+      const stderr = new OutputBuffer(this.maxOutputBytes);
+      let timedOut = false;
+      let cancelled = false;
+      let killTimer = null;
+
+      // detached 让命令成为独立进程组的组长，便于一次结束它启动的所有子进程
+      const child = spawn('bash', ['-c', command], {
+        cwd,
+        detached: true,
+        stdio: ['ignore', 'pipe', 'pipe'],
+        env: { ...process.env, PAGER: 'cat', GIT_PAGER: 'cat' }
+      });
+
+      const killGroup = () => {
+        signalGroup(child.pid, 'SIGTERM');
+        killTimer = setTimeout(() => signalGroup(child.pid, 'SIGKILL'), KILL_GRACE_MS);
+      };
+
+      const timer = this.timeout > 0
+        ? setTimeout(() => { timedOut = true; killGroup(); }, this.timeout)
+        : null;
+
+      const onAbort = () => { cancelled = true; killGroup(); };
+      if (signal?.aborted) {
+        onAbort();
+      } else {
+        signal?.addEventListener('abort', onAbort, { once: true });
+      }
+
+      child.stdout.on('data', chunk => stdout.append(chunk));
+      child.stderr.on('data', chunk => stderr.append(chunk));
+
+      const finish = (extra) => {
+        clearTimeout(timer);
+        clearTimeout(killTimer);
+        signal?.removeEventListener('abort', onAbort);
+        resolve({
+          stdout: stdout.toString(),
+          stderr: stderr.toString(),
+          timedOut,
+          cancelled,
+          ...extra
+        });
+      };
+
+      child.on('error', error => finish({ exitCode: null, error: error.message }));
+      child.on('close', (exitCode, exitSignal) => finish({ exitCode, signal: exitSignal }));
+    });
+  }
+}
+
+/**
+ * 保留输出开头和结尾的缓冲区，超出部分替换为截断说明
+ */
+class OutputBuffer {
+  constructor(limit) {
+    this.headLimit = Math.ceil(limit / 2);
+    this.tailLimit = Math.floor(limit / 2);
+    this.head = Buffer.alloc(0);
+    this.tail = Buffer.alloc(0);
+    this.total = 0;
+  }
+
+  append(chunk) {
+    this.total += chunk.length;
+    if (this.head.length < this.headLimit) {
+      const take = Math.min(chunk.length, this.headLimit - this.head.length);
+      this.head = Buffer.concat([this.head, chunk.subarray(0, take)]);
+      chunk = chunk.subarray(take);
+    }
+    if (chunk.length > 0) {
+      this.tail = Buffer.concat([this.tail, chunk]);
+      if (this.tail.length > this.tailLimit) {
+        this.tail = this.tail.subarray(this.tail.length - this.tailLimit);
+      }
+    }
+  }
+
+  toString() {
+    const omitted = this.total - this.head.length - this.tail.length;
+    if (omitted <= 0) {
+      return Buffer.concat([this.head, this.tail]).toString('utf8');
+    }
+    return `${this.head.toString('utf8')}\n... [${omitted} bytes truncated] ...\n${this.tail.toString('utf8')}`;
+  }
+}
+
+/**
+ * 将命令拆分为简单命令（按行和 && || ; | 分割）
+ * 包含命令替换、重定向、子 shell 等无法静态判断的结构时返回 null
+ * @returns {string[][]|null} 每个简单命令的单词列表
+ */
+function splitCommand(command) {
+  if (/[`]|\$\(|<\(|>\(/.test(command)) {
+    return null;
+  }
+
+  const segments = [];
+  for (const line of command.split(/\r?\n/)) {
+    let words = [];
+    for (const token of parse(line, (name) => `$${name}`)) {
+      if (typeof token === 'string') {
+        words.push(token);
+      } else if (token.comment !== undefined) {
+        break;
+      } else if (!SAFE_OPERATORS.has(token.op)) {
+        return null;
+      } else if (token.op === 'glob') {
+        words.push(token.pattern);
+      } else {
+        if (words.length > 0) segments.push(words);
+        words = [];
+      }
+    }
+    if (words.length > 0) segments.push(words);
+  }
+
+  return segments.length > 0 ? segments : null;
+}
+
+/**
+ * "始终允许"记录的命令前缀：命令名加子命令（如 git status、npm test），
+ * 第一个参数不像子命令（选项、路径等）时记录完整命令
+ */
+function commandPrefix(words) {
+  if (words.length === 1) {
+    return words;
+  }
+  return /^[A-Za-z][\w-]*$/.test(words[1]) ? words.slice(0, 2) : words;
+}
+
+function uniquePrefixes(prefixes) {
+  const seen = new Set();
+  return prefixes.filter(prefix => {
+    const key = JSON.stringify(prefix);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function tokenize(command) {
+  return parse(command).filter(token => typeof token === 'string');
+}
+
+function signalGroup(pid, signal) {
+  try {
+    process.kill(-pid, signal);
+  } catch (error) {
+    // 进程组已经退出
+  }
+}
@@ -4,17 +4,20 @@
  * 最简化的文件写入工具，演示工具系统的基本结构
  */
 
+import { createUnifiedDiff, countDiffLines } from '../utils/diff.js';
+
 export class WriteFileTool {
   name = 'write_file';
   displayName = 'Write File';
-  description = 'Write content to a file at the specified path';
+  description = 'Write content to a file at the specified path, replacing the whole file. Use replace to change part of an existing file.';
+  readOnly = false;
   
   schema = {
     type: 'object',
     properties: {
       path: {
         type: 'string',
-        description: 'Absolute path where to write the file'
+        description: 'Path where to write the file (absolute, or relative to the workspace root)'
       },
       content: {
         type: 'string',
@@ -24,19 +27,61 @@ export class WriteFileTool {
     required: ['path', 'content']
   };
 
+  /**
+   * @param {Object} [options]
+   * @param {import('../utils/path-policy.js').PathPolicy} [options.pathPolicy] - 路径访问控制
+   */
+  constructor({ pathPolicy } = {}) {
+    this.pathPolicy = pathPolicy;
+  }
+
+  validateParams(params) {
+    return this.pathPolicy?.check(params.path) ?? null;
+  }
+
+  resolvePath(path) {
+    return this.pathPolicy ? this.pathPolicy.resolve(path) : path;
+  }
+
+  /**
+   * 写入前的预览：与现有内容的 diff，内容未变化时无需确认
+   */
+  async getConfirmationDetails(params) {
+    const { readFileSync, existsSync } = await import('fs');
+    const filePath = this.resolvePath(params.path);
+    const exists = existsSync(filePath);
+    const oldContent = exists ? readFileSync(filePath, 'utf8') : '';
+    const diff = createUnifiedDiff(oldContent, params.content, {
+      fromFile: exists ? filePath : '/dev/null',
+      toFile: filePath
+    });
+
+    if (exists && !diff) {
+      return null;
+    }
+
+    const { added, removed } = countDiffLines(diff);
+    return {
+      title: `${exists ? 'Overwrite' : 'Create'} ${filePath} (+${added} -${removed})`,
+      diff
+    };
+  }
+
   async execute(params) {
     try {
       const { writeFileSync, mkdirSync } = await import('fs');
       const { dirname } = await import('path');
       
+      const filePath = this.resolvePath(params.path);
+      
       // Ensure directory exists
-      mkdirSync(dirname(params.path), { recursive: true });
+      mkdirSync(dirname(filePath), { recursive: true });
       
-      writeFileSync(params.path, params.content, 'utf8');
+      writeFileSync(filePath, params.content, 'utf8');
       
       return {
         success: true,
-        summary: `Successfully wrote ${params.content.length} characters to ${params.path}`
+        summary: `Successfully wrote ${params.content.length} characters to ${filePath}`
       };
     } catch (error) {
       return {
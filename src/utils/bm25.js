@@ -0,0 +1,89 @@
+/**
+ * BM25: 本地相关性排序
+ *
+ * 按查询为短文本（如记忆条目）计算 BM25 分数，不依赖网络或向量模型
+ * 英文等按单词切分（去掉常见停用词和复数词尾），中日韩文字按相邻两个字切分
+ */
+
+const K1 = 1.2;
+const B = 0.75;
+
+const CJK = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Hangul}';
+const TOKEN_PATTERN = new RegExp(`[${CJK}]+|[\\p{L}\\p{N}_]+`, 'gu');
+const CJK_PATTERN = new RegExp(`^[${CJK}]`, 'u');
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'do', 'does', 'for', 'from', 'has', 'have', 'how',
+  'i', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'should', 'that', 'the', 'this', 'to',
+  'was', 'we', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your'
+]);
+
+/**
+ * 切分为用于匹配的词
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  const tokens = [];
+  for (const [word] of String(text || '').toLowerCase().matchAll(TOKEN_PATTERN)) {
+    if (CJK_PATTERN.test(word)) {
+      if (word.length === 1) {
+        tokens.push(word);
+      }
+      for (let i = 0; i < word.length - 1; i++) {
+        tokens.push(word.slice(i, i + 2));
+      }
+    } else if (!STOP_WORDS.has(word)) {
+      tokens.push(stem(word));
+    }
+  }
+  return tokens;
+}
+
+/**
+ * 计算每个文档相对于查询的 BM25 分数，与查询没有共同词的文档得分为 0
+ * @param {string} query - 查询
+ * @param {string[]} documents - 文档
+ * @returns {number[]} 与 documents 一一对应的分数
+ */
+export function scoreDocuments(query, documents, { k1 = K1, b = B } = {}) {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0 || documents.length === 0) {
+    return documents.map(() => 0);
+  }
+
+  const docs = documents.map(tokenize);
+  const averageLength = docs.reduce((total, tokens) => total + tokens.length, 0) / docs.length || 1;
+  const documentFrequency = new Map();
+  for (const tokens of docs) {
+    for (const term of new Set(tokens)) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  return docs.map(tokens => {
+    const termFrequency = new Map();
+    for (const term of tokens) {
+      termFrequency.set(term, (termFrequency.get(term) || 0) + 1);
+    }
+
+    let score = 0;
+    for (const term of queryTerms) {
+      const frequency = termFrequency.get(term);
+      if (!frequency) continue;
+      const count = documentFrequency.get(term);
+      const idf = Math.log(1 + (docs.length - count + 0.5) / (count + 0.5));
+      score += idf * (frequency * (k1 + 1)) / (frequency + k1 * (1 - b + b * tokens.length / averageLength));
+    }
+    return score;
+  });
+}
+
+/**
+ * 去掉英文复数词尾，让 test / tests、library / libraries 能够匹配
+ */
+function stem(word) {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us')) return word.slice(0, -1);
+  return word;
+}
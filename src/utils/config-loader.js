@@ -12,6 +12,29 @@ import { readFileSync, existsSync } from 'fs';
 import { homedir } from 'os';
 import { join } from 'path';
 
+/**
+ * 各提供商对应的环境变量，按检测优先级排列
+ */
+const PROVIDER_ENV_VARS = [
+  { provider: 'openai', apiKey: 'OPENAI_API_KEY', baseUrl: 'OPENAI_BASE_URL', model: 'OPENAI_MODEL' },
+  { provider: 'gemini', apiKey: 'GEMINI_API_KEY', baseUrl: 'GEMINI_BASE_URL', model: 'GEMINI_MODEL' },
+  { provider: 'claude', aliases: ['anthropic'], apiKey: 'ANTHROPIC_API_KEY', baseUrl: 'ANTHROPIC_BASE_URL', model: 'CLAUDE_MODEL' },
+  {
+    provider: 'azure', apiKey: 'AZURE_OPENAI_API_KEY', baseUrl: 'AZURE_OPENAI_ENDPOINT', model: 'AZURE_OPENAI_MODEL',
+    extra: { deployment: 'AZURE_OPENAI_DEPLOYMENT', apiVersion: 'AZURE_OPENAI_API_VERSION' }
+  }
+];
+
+/**
+ * 各提供商的默认模型
+ */
+const DEFAULT_MODELS = {
+  openai: 'gpt-3.5-turbo',
+  gemini: 'gemini-2.5-flash',
+  claude: 'claude-sonnet-4-20250514',
+  azure: 'gpt-35-turbo'
+};
+
 export class ConfigLoader {
   constructor() {
     this.configPaths = [
@@ -35,40 +58,65 @@ export class ConfigLoader {
       provider: 'openai' // 默认使用OpenAI
     };
 
-    // 优先读取环境变量
-    config.apiKey = process.env.OPENAI_API_KEY || 
-                   process.env.GEMINI_API_KEY || 
-                   process.env.ANTHROPIC_API_KEY ||
-                   process.env.AZURE_OPENAI_API_KEY;
+    const detected = this.detectProvider();
+    if (detected) {
+      Object.assign(config, detected);
+      config.baseUrl = detected.baseUrl || null;
+      config.model = detected.model || null;
+    }
 
-    config.baseUrl = process.env.OPENAI_BASE_URL || 
-                    process.env.GEMINI_BASE_URL ||
-                    process.env.AZURE_OPENAI_ENDPOINT;
+    config.model = config.model || DEFAULT_MODELS[config.provider];
 
-    config.model = process.env.OPENAI_MODEL || 
-                  process.env.GEMINI_MODEL ||
-                  process.env.CLAUDE_MODEL ||
-                  'gpt-3.5-turbo'; // 默认模型
+    return config;
+  }
 
-    // 从配置文件中读取
+  /**
+   * 检测提供商及其环境变量（不填充默认值）
+   * @param {string} [provider] - 只读取指定提供商的变量
+   * @returns {Object|null} { provider, apiKey, baseUrl?, model?, ... }，未找到 API Key 时返回 null
+   */
+  detectProvider(provider = null) {
+    // 读取配置文件中的变量（靠前的文件优先）
+    const fileVars = {};
     for (const configPath of this.configPaths) {
       if (existsSync(configPath)) {
         const content = readFileSync(configPath, 'utf-8');
         const envVars = this.parseEnvFile(content);
-        
-        // 合并配置
-        config.apiKey = config.apiKey || envVars.OPENAI_API_KEY || envVars.GEMINI_API_KEY;
-        config.baseUrl = config.baseUrl || envVars.OPENAI_BASE_URL || envVars.GEMINI_BASE_URL;
-        config.model = config.model || envVars.OPENAI_MODEL || envVars.GEMINI_MODEL;
-        
-        // 检测提供商类型
-        if (envVars.GEMINI_API_KEY) config.provider = 'gemini';
-        if (envVars.ANTHROPIC_API_KEY) config.provider = 'claude';
-        if (envVars.AZURE_OPENAI_API_KEY) config.provider = 'azure';
+        for (const [key, value] of Object.entries(envVars)) {
+          if (!(key in fileVars)) {
+            fileVars[key] = value;
+          }
+        }
       }
     }
 
-    return config;
+    const candidates = provider
+      ? PROVIDER_ENV_VARS.filter(p => p.provider === provider || p.aliases?.includes(provider))
+      : PROVIDER_ENV_VARS;
+
+    // 检测提供商类型：优先读取环境变量，其次是配置文件
+    const spec =
+      candidates.find(p => process.env[p.apiKey]) ||
+      candidates.find(p => fileVars[p.apiKey]);
+
+    if (!spec) {
+      return null;
+    }
+
+    const read = (name) => name && (process.env[name] || fileVars[name]);
+    const result = {
+      provider: spec.provider,
+      apiKey: read(spec.apiKey)
+    };
+
+    // 只返回实际设置了的项，包括提供商特有的配置（如 Azure 的部署名和 API 版本）
+    const optional = { baseUrl: spec.baseUrl, model: spec.model, ...spec.extra };
+    for (const [key, name] of Object.entries(optional)) {
+      const value = read(name);
+      if (value) result[key] = value;
+    }
+
+    return result;
   }
 
   /**
@@ -0,0 +1,194 @@
+/**
+ * DIFF: 行级统一 diff 生成
+ *
+ * 用于在工具执行前预览文件改动，输出格式与 `diff -u` 一致
+ */
+
+// 公共前后缀之外的中间部分超过该规模时不再逐行比对，整体显示为替换
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * 生成统一格式的 diff
+ * @param {string} oldText - 原内容（新建文件时为空字符串）
+ * @param {string} newText - 新内容
+ * @param {Object} [options]
+ * @param {string} [options.fromFile] - 原文件标签
+ * @param {string} [options.toFile] - 新文件标签
+ * @param {number} [options.context] - 每个改动块保留的上下文行数
+ * @returns {string} diff 文本，内容相同时返回空字符串
+ */
+export function createUnifiedDiff(oldText, newText, { fromFile = 'a', toFile = 'b', context = 3 } = {}) {
+  if (oldText === newText) {
+    return '';
+  }
+
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+  const operations = diffLines(oldLines, newLines);
+  const hunks = buildHunks(operations, context);
+
+  const header = [`--- ${fromFile}`, `+++ ${toFile}`];
+  const body = hunks.flatMap(hunk => [
+    `@@ -${formatRange(hunk.oldStart, hunk.oldCount)} +${formatRange(hunk.newStart, hunk.newCount)} @@`,
+    ...hunk.lines
+  ]);
+  return [...header, ...body].join('\n');
+}
+
+/**
+ * 统计 diff 中新增和删除的行数
+ * @param {string} diff - createUnifiedDiff 的输出
+ * @returns {{added: number, removed: number}}
+ */
+export function countDiffLines(diff) {
+  let added = 0;
+  let removed = 0;
+  for (const line of diff.split('\n')) {
+    if (line.startsWith('+') && !line.startsWith('+++')) added++;
+    if (line.startsWith('-') && !line.startsWith('---')) removed++;
+  }
+  return { added, removed };
+}
+
+function splitLines(text) {
+  if (!text) {
+    return [];
+  }
+  const lines = text.split('\n');
+  // 以换行结尾的文本不产生额外的空行
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * 计算行级编辑序列：' ' 相同，'-' 删除，'+' 新增
+ */
+function diffLines(oldLines, newLines) {
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (
+    suffix < oldLines.length - prefix &&
+    suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const oldMiddle = oldLines.slice(prefix, oldLines.length - suffix);
+  const newMiddle = newLines.slice(prefix, newLines.length - suffix);
+
+  return [
+    ...oldLines.slice(0, prefix).map(line => ({ type: ' ', line })),
+    ...diffMiddle(oldMiddle, newMiddle),
+    ...oldLines.slice(oldLines.length - suffix).map(line => ({ type: ' ', line }))
+  ];
+}
+
+function diffMiddle(oldLines, newLines) {
+  const n = oldLines.length;
+  const m = newLines.length;
+
+  if (n === 0 || m === 0 || n * m > MAX_LCS_CELLS) {
+    return [
+      ...oldLines.map(line => ({ type: '-', line })),
+      ...newLines.map(line => ({ type: '+', line }))
+    ];
+  }
+
+  // 最长公共子序列表：lcs[i][j] 为 oldLines[i..] 与 newLines[j..] 的 LCS 长度
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = oldLines[i] === newLines[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (oldLines[i] === newLines[j]) {
+      operations.push({ type: ' ', line: oldLines[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      operations.push({ type: '-', line: oldLines[i++] });
+    } else {
+      operations.push({ type: '+', line: newLines[j++] });
+    }
+  }
+  while (i < n) operations.push({ type: '-', line: oldLines[i++] });
+  while (j < m) operations.push({ type: '+', line: newLines[j++] });
+
+  return operations;
+}
+
+/**
+ * 将编辑序列分组为带上下文的改动块
+ */
+function buildHunks(operations, context) {
+  const hunks = [];
+  let current = null;
+  let oldLine = 1;
+  let newLine = 1;
+  let trailing = 0;
+
+  // 每个位置之后（含自身）最近一个改动的下标
+  const nextChange = new Array(operations.length + 1).fill(-1);
+  for (let i = operations.length - 1; i >= 0; i--) {
+    nextChange[i] = operations[i].type !== ' ' ? i : nextChange[i + 1];
+  }
+
+  operations.forEach((operation, index) => {
+    if (operation.type !== ' ') {
+      if (!current) {
+        // 向前补充上下文行
+        const start = Math.max(0, index - context);
+        const leading = operations.slice(start, index);
+        current = {
+          oldStart: oldLine - leading.length,
+          newStart: newLine - leading.length,
+          oldCount: leading.length,
+          newCount: leading.length,
+          lines: leading.map(op => ` ${op.line}`)
+        };
+        hunks.push(current);
+      }
+      current.lines.push(`${operation.type}${operation.line}`);
+      if (operation.type === '-') current.oldCount++;
+      if (operation.type === '+') current.newCount++;
+      trailing = 0;
+    } else if (current) {
+      const next = nextChange[index];
+      if (trailing < context || (next !== -1 && next - index <= context)) {
+        current.lines.push(` ${operation.line}`);
+        current.oldCount++;
+        current.newCount++;
+        trailing++;
+      } else {
+        current = null;
+      }
+    }
+
+    if (operation.type !== '+') oldLine++;
+    if (operation.type !== '-') newLine++;
+  });
+
+  return hunks;
+}
+
+function formatRange(start, count) {
+  // 空范围按 diff -u 的约定指向前一行
+  if (count === 0) {
+    return `${start - 1},0`;
+  }
+  return count === 1 ? `${start}` : `${start},${count}`;
+}
@@ -0,0 +1,256 @@
+/**
+ * GITIGNORE: 与 git 一致的忽略规则匹配
+ *
+ * 支持的语义：
+ * 1. 注释（#）、转义（\#、\!、\ ）和行尾空格
+ * 2. 取反（!pattern），最后匹配的规则生效
+ * 3. 仅匹配目录（pattern/）
+ * 4. 锚定（以 / 开头或中间包含 /）相对于忽略文件所在目录，否则匹配任意层级
+ * 5. *、?、[...] 以及开头、结尾和中间的 ** 目录通配
+ * 6. 每个目录中的忽略文件只作用于该目录，深层目录的规则优先
+ * 7. 父目录被忽略时，其中的文件无法再被取反规则重新包含
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+
+/**
+ * 解析忽略文件内容
+ * @param {string} content - 忽略文件内容
+ * @param {string} [source] - 规则来源（如 .gitignore），便于按来源过滤
+ * @returns {Array<{pattern: string, negate: boolean, dirOnly: boolean, regex: RegExp, source: string}>}
+ */
+export function parseIgnoreRules(content, source = '') {
+  const rules = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    let line = rawLine;
+
+    // 未转义的行尾空格被忽略
+    line = line.replace(/(?<!\\)\s+$/, '');
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    let negate = false;
+    if (line.startsWith('!')) {
+      negate = true;
+      line = line.slice(1);
+    } else if (line.startsWith('\\!') || line.startsWith('\\#')) {
+      line = line.slice(1);
+    }
+
+    let dirOnly = false;
+    if (line.endsWith('/')) {
+      dirOnly = true;
+      line = line.replace(/\/+$/, '');
+    }
+    if (!line) {
+      continue;
+    }
+
+    // 开头或中间的 / 表示相对于忽略文件所在目录
+    const anchored = line.includes('/');
+    if (line.startsWith('/')) {
+      line = line.slice(1);
+    }
+
+    rules.push({
+      pattern: rawLine.trim(),
+      negate,
+      dirOnly,
+      regex: globToRegex(line, { anchored }),
+      source
+    });
+  }
+
+  return rules;
+}
+
+/**
+ * 将 gitignore 风格的 glob 转换为正则表达式
+ * @param {string} pattern - 不含取反前缀和结尾 / 的模式
+ * @param {Object} [options]
+ * @param {boolean} [options.anchored] - 是否只从起始目录匹配，否则匹配任意层级
+ * @returns {RegExp}
+ */
+export function globToRegex(pattern, { anchored = true } = {}) {
+  let body = '';
+  let i = 0;
+
+  while (i < pattern.length) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        const atStart = i === 0;
+        const afterSlash = pattern[i - 1] === '/';
+        const beforeSlash = pattern[i + 2] === '/';
+        const atEnd = i + 2 === pattern.length;
+
+        if (atStart && beforeSlash) {
+          // **/foo：任意层级（包括零层）
+          body += '(?:.*/)?';
+          i += 3;
+          continue;
+        }
+        if (afterSlash && atEnd) {
+          // foo/**：目录中的所有内容
+          body += '.*';
+          i += 2;
+          continue;
+        }
+        if (afterSlash && beforeSlash) {
+          // a/**/b：零个或多个中间目录
+          body += '(?:.*/)?';
+          i += 3;
+          continue;
+        }
+      }
+      // 其他位置的 * 和 ** 都不跨越目录
+      body += '[^/]*';
+      while (pattern[i] === '*') i++;
+      continue;
+    }
+
+    if (char === '?') {
+      body += '[^/]';
+      i++;
+      continue;
+    }
+
+    if (char === '[') {
+      const end = findClassEnd(pattern, i);
+      if (end !== -1) {
+        let content = pattern.slice(i + 1, end);
+        let negated = false;
+        if (content.startsWith('!') || content.startsWith('^')) {
+          negated = true;
+          content = content.slice(1);
+        }
+        content = content.replace(/\\/g, '\\\\').replace(/\]/g, '\\]');
+        body += `[${negated ? '^' : ''}${content}]`;
+        i = end + 1;
+        continue;
+      }
+    }
+
+    if (char === '\\' && i + 1 < pattern.length) {
+      body += escapeRegex(pattern[i + 1]);
+      i += 2;
+      continue;
+    }
+
+    body += escapeRegex(char);
+    i++;
+  }
+
+  return new RegExp(anchored ? `^${body}$` : `^(?:.*/)?${body}$`);
+}
+
+export class IgnoreMatcher {
+  /**
+   * @param {string} root - 项目根目录（绝对路径）
+   * @param {Object} [options]
+   * @param {string[]} [options.fileNames] - 每个目录中读取的忽略文件，后面的优先
+   * @param {string[]} [options.defaultPatterns] - 优先级最低的内置规则
+   */
+  constructor(root, { fileNames = ['.gitignore'], defaultPatterns = [] } = {}) {
+    this.root = root;
+    this.fileNames = fileNames;
+    this.defaultRules = parseIgnoreRules(defaultPatterns.join('\n'), 'default');
+    this.rulesByDir = new Map();
+    this.cache = new Map();
+  }
+
+  /**
+   * 读取（并缓存）某个目录中的忽略规则
+   * @param {string} dir - 相对于根目录的目录，根目录为 ''
+   */
+  getRules(dir) {
+    if (!this.rulesByDir.has(dir)) {
+      const rules = [];
+      for (const fileName of this.fileNames) {
+        const filePath = join(this.root, dir, fileName);
+        if (!existsSync(filePath)) {
+          continue;
+        }
+        try {
+          rules.push(...parseIgnoreRules(readFileSync(filePath, 'utf8'), fileName));
+        } catch (error) {
+          console.warn(`无法读取 ${filePath}:`, error.message);
+        }
+      }
+      this.rulesByDir.set(dir, rules);
+    }
+    return this.rulesByDir.get(dir);
+  }
+
+  /**
+   * 判断相对路径是否被忽略
+   * @param {string} relativePath - 相对于根目录、以 / 分隔的路径
+   * @param {Object} [options]
+   * @param {boolean} [options.isDirectory] - 路径是否为目录
+   * @param {string[]} [options.sources] - 只使用这些来源的规则（默认全部）
+   * @returns {boolean}
+   */
+  ignores(relativePath, { isDirectory = false, sources = null } = {}) {
+    const segments = relativePath.split('/').filter(Boolean);
+
+    // 逐级检查：任何一级父目录被忽略，其中的内容都被忽略
+    for (let i = 1; i <= segments.length; i++) {
+      const isDir = i < segments.length || isDirectory;
+      if (this.matchesPath(segments.slice(0, i), isDir, sources)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  matchesPath(segments, isDirectory, sources) {
+    const path = segments.join('/');
+    const key = `${sources ? sources.join(',') : '*'}:${isDirectory ? 'd' : 'f'}:${path}`;
+    if (this.cache.has(key)) {
+      return this.cache.get(key);
+    }
+
+    let ignored = false;
+    const apply = (rules, relative) => {
+      for (const rule of rules) {
+        if (sources && !sources.includes(rule.source)) continue;
+        if (rule.dirOnly && !isDirectory) continue;
+        if (rule.regex.test(relative)) {
+          ignored = !rule.negate;
+        }
+      }
+    };
+
+    apply(this.defaultRules, path);
+    // 从根目录到父目录依次应用各级忽略文件，深层规则后应用因而优先
+    for (let depth = 0; depth < segments.length; depth++) {
+      const dir = segments.slice(0, depth).join('/');
+      apply(this.getRules(dir), segments.slice(depth).join('/'));
+    }
+
+    this.cache.set(key, ignored);
+    return ignored;
+  }
+}
+
+function findClassEnd(pattern, start) {
+  let i = start + 1;
+  if (pattern[i] === '!' || pattern[i] === '^') i++;
+  if (pattern[i] === ']') i++;
+  for (; i < pattern.length; i++) {
+    if (pattern[i] === '\\') {
+      i++;
+    } else if (pattern[i] === ']') {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function escapeRegex(char) {
+  return char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
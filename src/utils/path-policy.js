@@ -0,0 +1,145 @@
+/**
+ * PATH POLICY: 文件工具的路径访问控制
+ *
+ * 规则：
+ * 1. 路径先解析为真实路径（跟随符号链接，包括目标尚不存在的悬空链接），不存在的部分按最近的已存在父目录解析
+ * 2. security.restrictedPaths 中的路径始终拒绝
+ * 3. 启用沙箱（security.enableSandbox）时，路径必须位于工作区或 security.allowedPaths 之内
+ */
+
+import { lstatSync, readlinkSync, realpathSync } from 'fs';
+import { homedir } from 'os';
+import { basename, dirname, isAbsolute, join, relative, resolve, sep } from 'path';
+
+// 与系统的 SYMLOOP_MAX 一致，超过时视为链接循环
+const MAX_LINK_DEPTH = 40;
+
+export class PathPolicyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PathPolicyError';
+  }
+}
+
+export class PathPolicy {
+  /**
+   * @param {Object} options
+   * @param {string} options.workspaceRoot - 工作区根目录（--dir）
+   * @param {boolean} [options.enableSandbox] - 是否限制在工作区和 allowedPaths 之内
+   * @param {string[]} [options.allowedPaths] - 额外允许的根目录
+   * @param {string[]} [options.restrictedPaths] - 始终拒绝的路径
+   */
+  constructor({ workspaceRoot, enableSandbox = true, allowedPaths = [], restrictedPaths = [] }) {
+    this.workspaceRoot = toRealPath(resolve(workspaceRoot));
+    this.enableSandbox = enableSandbox;
+    this.allowedRoots = [
+      this.workspaceRoot,
+      ...allowedPaths.map(path => toRealPath(this.expand(path)))
+    ];
+    this.restrictedPaths = restrictedPaths.map(path => toRealPath(this.expand(path)));
+  }
+
+  /**
+   * 解析并校验路径
+   * @param {string} inputPath - 工具参数中的路径，相对路径基于工作区根目录
+   * @returns {string} 真实的绝对路径
+   * @throws {PathPolicyError} 路径不被允许时
+   */
+  resolve(inputPath) {
+    if (typeof inputPath !== 'string' || inputPath.trim() === '') {
+      throw new PathPolicyError('Path must be a non-empty string');
+    }
+
+    const expanded = this.expand(inputPath);
+    const realPath = toRealPath(expanded);
+
+    const restricted = this.restrictedPaths.find(root => isWithin(realPath, root));
+    if (restricted) {
+      throw new PathPolicyError(
+        `Access to "${inputPath}" is denied: ${restricted} is listed in security.restrictedPaths`
+      );
+    }
+
+    if (this.enableSandbox && !this.allowedRoots.some(root => isWithin(realPath, root))) {
+      const via = realPath !== expanded
+        ? ` (resolves to ${realPath})`
+        : '';
+      throw new PathPolicyError(
+        `Access to "${inputPath}"${via} is denied: path is outside the workspace ${this.workspaceRoot}. ` +
+        `Use a path inside the workspace${this.allowedRoots.length > 1 ? ` or one of: ${this.allowedRoots.slice(1).join(', ')}` : ''}.`
+      );
+    }
+
+    return realPath;
+  }
+
+  /**
+   * 校验路径，返回错误信息或 null（供工具的 validateParams 使用）
+   * @param {string} inputPath
+   * @returns {string|null}
+   */
+  check(inputPath) {
+    try {
+      this.resolve(inputPath);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  /**
+   * 展开 ~ 并将相对路径基于工作区根目录解析
+   */
+  expand(path) {
+    if (path === '~' || path.startsWith('~/')) {
+      return join(homedir(), path.slice(1));
+    }
+    return isAbsolute(path) ? resolve(path) : resolve(this.workspaceRoot, path);
+  }
+
+  getStatus() {
+    return {
+      enableSandbox: this.enableSandbox,
+      workspaceRoot: this.workspaceRoot,
+      allowedRoots: this.allowedRoots,
+      restrictedPaths: this.restrictedPaths
+    };
+  }
+}
+
+/**
+ * 跟随符号链接解析路径；路径不存在时解析最近的已存在父目录后拼接剩余部分
+ * 悬空的符号链接按链接目标继续解析，避免写入时在允许的目录之外创建文件
+ */
+function toRealPath(path, linkDepth = 0) {
+  try {
+    return realpathSync(path);
+  } catch (error) {
+    const parent = dirname(path);
+    if (parent === path) {
+      return path;
+    }
+    const realParent = toRealPath(parent, linkDepth);
+    const candidate = join(realParent, basename(path));
+    if (!isSymbolicLink(candidate)) {
+      return candidate;
+    }
+    if (linkDepth >= MAX_LINK_DEPTH) {
+      throw new PathPolicyError(`Too many levels of symbolic links: ${path}`);
+    }
+    return toRealPath(resolve(realParent, readlinkSync(candidate)), linkDepth + 1);
+  }
+}
+
+function isSymbolicLink(path) {
+  try {
+    return lstatSync(path).isSymbolicLink();
+  } catch (error) {
+    return false;
+  }
+}
+
+function isWithin(path, root) {
+  const rel = relative(root, path);
+  return rel === '' || (!rel.startsWith('..' + sep) && rel !== '..' && !isAbsolute(rel));
+}
@@ -0,0 +1,32 @@
+/**
+ * 终端表格输出工具
+ */
+
+/**
+ * 截断过长的单元格内容
+ */
+export function truncate(value, width) {
+  const text = String(value ?? '').replace(/\s+/g, ' ');
+  return text.length > width ? text.substring(0, width - 1) + '…' : text;
+}
+
+/**
+ * 以对齐的列打印表格
+ * @param {Array<Object>} rows - 数据行
+ * @param {Array<{key: string, label: string, maxWidth?: number}>} columns - 列定义
+ */
+export function printTable(rows, columns) {
+  const cells = rows.map(row =>
+    columns.map(col => truncate(row[col.key], col.maxWidth || 60))
+  );
+  const widths = columns.map((col, i) =>
+    Math.max(col.label.length, ...cells.map(line => line[i].length))
+  );
+
+  const formatLine = (values) =>
+    values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+
+  console.log(formatLine(columns.map(col => col.label)));
+  console.log(formatLine(widths.map(width => '-'.repeat(width))));
+  cells.forEach(line => console.log(formatLine(line)));
+}
@@ -0,0 +1,224 @@
+/**
+ * TOML: 自定义命令文件使用的 TOML 子集解析
+ *
+ * 支持顶层的 key = value：基本字符串 "..."、字面量字符串 '...'、
+ * 多行字符串 """...""" / '''...'''、布尔值、数字和由这些值组成的数组，以及 # 注释
+ * 不支持表（[table]）和点分隔的键，遇到时报错
+ */
+
+const BARE_KEY = /^[A-Za-z0-9_-]+/;
+const ESCAPES = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', '"': '"', '\\': '\\' };
+
+/**
+ * 解析 TOML 文本
+ * @param {string} text
+ * @returns {Object}
+ */
+export function parseToml(text) {
+  const parser = new Parser(text.replace(/\r\n/g, '\n'));
+  return parser.parse();
+}
+
+class Parser {
+  constructor(text) {
+    this.text = text;
+    this.pos = 0;
+  }
+
+  parse() {
+    const result = {};
+    while (true) {
+      this.skipWhitespaceAndComments();
+      if (this.pos >= this.text.length) {
+        return result;
+      }
+      if (this.peek() === '[') {
+        this.fail('不支持表（[table]），只能使用顶层的 key = value');
+      }
+
+      const key = this.parseKey();
+      this.skipWhitespace();
+      if (this.peek() === '.') {
+        this.fail(`不支持点分隔的键: ${key}.`);
+      }
+      this.expect('=');
+      this.skipWhitespace();
+      if (Object.hasOwn(result, key)) {
+        this.fail(`重复的键: ${key}`);
+      }
+      result[key] = this.parseValue();
+
+      // 值之后只能是注释或换行
+      this.skipWhitespace();
+      if (this.peek() === '#') this.skipComment();
+      if (this.pos < this.text.length && this.peek() !== '\n') {
+        this.fail(`值之后有多余的内容: ${this.text.slice(this.pos).split('\n')[0]}`);
+      }
+    }
+  }
+
+  parseKey() {
+    const char = this.peek();
+    if (char === '"') return this.parseBasicString();
+    if (char === "'") return this.parseLiteralString();
+    const match = this.text.slice(this.pos).match(BARE_KEY);
+    if (!match) {
+      this.fail('缺少键名');
+    }
+    this.pos += match[0].length;
+    return match[0];
+  }
+
+  parseValue() {
+    const rest = this.text.slice(this.pos);
+    if (rest.startsWith('"""')) return this.parseMultilineString('"""', true);
+    if (rest.startsWith("'''")) return this.parseMultilineString("'''", false);
+    if (rest.startsWith('"')) return this.parseBasicString();
+    if (rest.startsWith("'")) return this.parseLiteralString();
+    if (rest.startsWith('[')) return this.parseArray();
+
+    const match = rest.match(/^(true|false|[+-]?(?:\d[\d_]*)(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?)(?=\s|#|,|]|$)/);
+    if (!match) {
+      this.fail(`无法解析的值: ${rest.split('\n')[0]}`);
+    }
+    this.pos += match[0].length;
+    if (match[0] === 'true' || match[0] === 'false') {
+      return match[0] === 'true';
+    }
+    return Number(match[0].replace(/_/g, ''));
+  }
+
+  parseArray() {
+    this.expect('[');
+    const values = [];
+    while (true) {
+      this.skipWhitespaceAndComments();
+      if (this.peek() === ']') {
+        this.pos++;
+        return values;
+      }
+      values.push(this.parseValue());
+      this.skipWhitespaceAndComments();
+      if (this.peek() === ',') {
+        this.pos++;
+      } else if (this.peek() !== ']') {
+        this.fail('数组元素之间缺少逗号');
+      }
+    }
+  }
+
+  parseBasicString() {
+    this.expect('"');
+    let value = '';
+    while (true) {
+      const char = this.text[this.pos++];
+      if (char === undefined || char === '\n') {
+        this.fail('字符串没有结束');
+      }
+      if (char === '"') {
+        return value;
+      }
+      value += char === '\\' ? this.parseEscape() : char;
+    }
+  }
+
+  parseLiteralString() {
+    this.expect("'");
+    const end = this.text.indexOf("'", this.pos);
+    const newline = this.text.indexOf('\n', this.pos);
+    if (end === -1 || (newline !== -1 && newline < end)) {
+      this.fail('字符串没有结束');
+    }
+    const value = this.text.slice(this.pos, end);
+    this.pos = end + 1;
+    return value;
+  }
+
+  /**
+   * 多行字符串：开头紧跟的换行会被去掉，基本字符串中行尾的 \ 会连同后面的空白一起去掉
+   */
+  parseMultilineString(delimiter, escapes) {
+    this.pos += delimiter.length;
+    if (this.peek() === '\n') this.pos++;
+
+    let value = '';
+    while (true) {
+      if (this.pos >= this.text.length) {
+        this.fail('多行字符串没有结束');
+      }
+      if (this.text.startsWith(delimiter, this.pos)) {
+        // 结束符前最多还可以有两个引号属于字符串内容
+        let quotes = 0;
+        while (quotes < 2 && this.text[this.pos + delimiter.length + quotes] === delimiter[0]) quotes++;
+        value += delimiter[0].repeat(quotes);
+        this.pos += delimiter.length + quotes;
+        return value;
+      }
+
+      const char = this.text[this.pos++];
+      if (escapes && char === '\\') {
+        if (/^[ \t]*\n/.test(this.text.slice(this.pos))) {
+          while (/\s/.test(this.peek() || '')) this.pos++;
+        } else {
+          value += this.parseEscape();
+        }
+      } else {
+        value += char;
+      }
+    }
+  }
+
+  parseEscape() {
+    const char = this.text[this.pos++];
+    if (ESCAPES[char] !== undefined) {
+      return ESCAPES[char];
+    }
+    if (char === 'u' || char === 'U') {
+      const length = char === 'u' ? 4 : 8;
+      const hex = this.text.slice(this.pos, this.pos + length);
+      if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== length) {
+        this.fail(`无效的 Unicode 转义: \\${char}${hex}`);
+      }
+      this.pos += length;
+      return String.fromCodePoint(parseInt(hex, 16));
+    }
+    this.fail(`无效的转义字符: \\${char}`);
+  }
+
+  skipWhitespace() {
+    while (this.peek() === ' ' || this.peek() === '\t') this.pos++;
+  }
+
+  skipComment() {
+    while (this.pos < this.text.length && this.peek() !== '\n') this.pos++;
+  }
+
+  skipWhitespaceAndComments() {
+    while (this.pos < this.text.length) {
+      const char = this.peek();
+      if (char === ' ' || char === '\t' || char === '\n') {
+        this.pos++;
+      } else if (char === '#') {
+        this.skipComment();
+      } else {
+        return;
+      }
+    }
+  }
+
+  peek() {
+    return this.text[this.pos];
+  }
+
+  expect(char) {
+    if (this.peek() !== char) {
+      this.fail(`缺少 "${char}"`);
+    }
+    this.pos++;
+  }
+
+  fail(message) {
+    const line = this.text.slice(0, this.pos).split('\n').length;
+    throw new Error(`TOML 解析错误（第 ${line} 行）: ${message}`);
+  }
+}
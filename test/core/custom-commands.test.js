@@ -0,0 +1,57 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { expandPrompt } from '../../src/core/custom-commands.js';
+
+/**
+ * 记录收到的命令，返回固定格式的输出
+ */
+function recordingShell() {
+  const commands = [];
+  const runShell = async (command) => {
+    commands.push(command);
+    return `<${command}>`;
+  };
+  return { commands, runShell };
+}
+
+describe('expandPrompt', () => {
+  test('普通文本中的 {{args}} 原样替换', async () => {
+    const { runShell } = recordingShell();
+    assert.equal(
+      await expandPrompt('Review {{args}} and {{args}}', 'a "b" $c', { runShell }),
+      'Review a "b" $c and a "b" $c'
+    );
+  });
+
+  test('!{...} 中的 {{args}} 按 shell 规则转义', async () => {
+    const { commands, runShell } = recordingShell();
+    const prompt = await expandPrompt('Diff:\n!{git diff -- {{args}}}', "it's; rm -rf $HOME `id`", { runShell });
+
+    assert.deepEqual(commands, ['git diff -- "it\'s; rm -rf \\$HOME \\`id\\`"']);
+    assert.equal(prompt, `Diff:\n<${commands[0]}>`);
+  });
+
+  test('参数为空时 !{...} 中的 {{args}} 替换为空字符串参数', async () => {
+    const { commands, runShell } = recordingShell();
+    await expandPrompt('!{grep -rn {{args}} src}', '', { runShell });
+    assert.deepEqual(commands, ["grep -rn '' src"]);
+  });
+
+  test('模板中没有 {{args}} 时参数追加到末尾', async () => {
+    const { runShell } = recordingShell();
+    assert.equal(await expandPrompt('Write tests.\n', 'for parser', { runShell }), 'Write tests.\n\nfor parser');
+    assert.equal(await expandPrompt('Write tests.', '', { runShell }), 'Write tests.');
+  });
+
+  test('只在 !{...} 中使用 {{args}} 时不再追加参数', async () => {
+    const { runShell } = recordingShell();
+    assert.equal(await expandPrompt('Log: !{git log {{args}}}', 'main', { runShell }), 'Log: <git log main>');
+  });
+
+  test('命令中的花括号需要成对出现', async () => {
+    const { commands, runShell } = recordingShell();
+    assert.equal(await expandPrompt('!{echo {a,b}}', '', { runShell }), '<echo {a,b}>');
+    assert.deepEqual(commands, ['echo {a,b}']);
+    await assert.rejects(expandPrompt('!{echo {', '', { runShell }), /没有对应的 }/);
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize, scoreDocuments } from '../../src/utils/bm25.js';
+
+describe('tokenize', () => {
+  test('按单词切分，转为小写，去掉停用词和复数词尾', () => {
+    assert.deepEqual(
+      tokenize('The Tests for my Libraries use snake_case and class'),
+      ['test', 'library', 'use', 'snake_case', 'class']
+    );
+  });
+
+  test('中日韩文字按相邻两个字切分，单字保留', () => {
+    assert.deepEqual(tokenize('使用中文'), ['使用', '用中', '中文']);
+    assert.deepEqual(tokenize('我 likes'), ['我', 'like']);
+  });
+
+  test('空值返回空数组', () => {
+    assert.deepEqual(tokenize(''), []);
+    assert.deepEqual(tokenize(null), []);
+    assert.deepEqual(tokenize('the of and'), []);
+  });
+});
+
+describe('scoreDocuments', () => {
+  test('与查询没有共同词的文档得分为 0', () => {
+    const scores = scoreDocuments('database migrations', ['Prefers tabs', 'Run database migrations with knex']);
+    assert.equal(scores[0], 0);
+    assert.ok(scores[1] > 0);
+  });
+
+  test('稀有词的权重高于常见词', () => {
+    const scores = scoreDocuments('project postgres', [
+      'project uses npm',
+      'project uses yarn',
+      'project uses postgres'
+    ]);
+    assert.ok(scores[2] > scores[0]);
+    assert.equal(scores[0], scores[1]);
+  });
+
+  test('相同词频时较短的文档得分更高', () => {
+    const [short, long] = scoreDocuments('eslint', [
+      'eslint config',
+      'eslint config lives in the root folder next to prettier settings'
+    ]);
+    assert.ok(short > long);
+  });
+
+  test('匹配中文查询', () => {
+    const [match, other] = scoreDocuments('代码风格', ['代码风格使用两个空格缩进', '提交信息用英文']);
+    assert.ok(match > 0);
+    assert.equal(other, 0);
+  });
+
+  test('空查询或空文档列表', () => {
+    assert.deepEqual(scoreDocuments('', ['a', 'b']), [0, 0]);
+    assert.deepEqual(scoreDocuments('the', ['the end']), [0]);
+    assert.deepEqual(scoreDocuments('anything', []), []);
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { parseIgnoreRules, globToRegex, IgnoreMatcher } from '../../src/utils/gitignore.js';
+
+describe('parseIgnoreRules', () => {
+  test('跳过注释和空行，处理取反、转义、目录和行尾空格', () => {
+    const rules = parseIgnoreRules('# comment\n\n!keep.log\n\\!bang\n\\#hash\nbuild/  \ntrailing\\ ', '.gitignore');
+
+    assert.deepEqual(
+      rules.map(({ negate, dirOnly, source }) => ({ negate, dirOnly, source })),
+      [
+        { negate: true, dirOnly: false, source: '.gitignore' },
+        { negate: false, dirOnly: false, source: '.gitignore' },
+        { negate: false, dirOnly: false, source: '.gitignore' },
+        { negate: false, dirOnly: true, source: '.gitignore' },
+        { negate: false, dirOnly: false, source: '.gitignore' }
+      ]
+    );
+    assert.ok(rules[1].regex.test('!bang'));
+    assert.ok(rules[2].regex.test('#hash'));
+    assert.ok(rules[3].regex.test('build'));
+    assert.ok(rules[4].regex.test('trailing '));
+  });
+
+  test('不含 / 的模式匹配任意层级，含 / 的模式相对于忽略文件所在目录', () => {
+    const [unanchored, leading, middle] = parseIgnoreRules('*.log\n/root.txt\ndocs/*.md');
+
+    assert.ok(unanchored.regex.test('a.log'));
+    assert.ok(unanchored.regex.test('deep/dir/a.log'));
+    assert.ok(leading.regex.test('root.txt'));
+    assert.ok(!leading.regex.test('sub/root.txt'));
+    assert.ok(middle.regex.test('docs/a.md'));
+    assert.ok(!middle.regex.test('sub/docs/a.md'));
+    assert.ok(!middle.regex.test('docs/sub/a.md'));
+  });
+});
+
+describe('globToRegex', () => {
+  const matches = (pattern, path) => globToRegex(pattern).test(path);
+
+  test('* 和 ? 不跨越目录', () => {
+    assert.ok(matches('src/*.js', 'src/a.js'));
+    assert.ok(!matches('src/*.js', 'src/lib/a.js'));
+    assert.ok(matches('file?.txt', 'file1.txt'));
+    assert.ok(!matches('file?.txt', 'file/.txt'));
+  });
+
+  test('开头、中间和结尾的 ** 目录通配', () => {
+    assert.ok(matches('**/logs', 'logs'));
+    assert.ok(matches('**/logs', 'a/b/logs'));
+    assert.ok(matches('a/**/b', 'a/b'));
+    assert.ok(matches('a/**/b', 'a/x/y/b'));
+    assert.ok(matches('out/**', 'out/x/y.js'));
+    assert.ok(!matches('out/**', 'out'));
+    assert.ok(!matches('a**b', 'a/b'));
+  });
+
+  test('字符类和转义', () => {
+    assert.ok(matches('[abc].txt', 'b.txt'));
+    assert.ok(!matches('[!abc].txt', 'b.txt'));
+    assert.ok(matches('[!abc].txt', 'd.txt'));
+    assert.ok(matches('[]x].txt', '].txt'));
+    assert.ok(matches('\\*.txt', '*.txt'));
+    assert.ok(!matches('\\*.txt', 'a.txt'));
+    assert.ok(matches('a.b', 'a.b'));
+    assert.ok(!matches('a.b', 'axb'));
+  });
+});
+
+describe('IgnoreMatcher', () => {
+  let root;
+
+  before(() => {
+    root = mkdtempSync(join(tmpdir(), 'gitignore-test-'));
+    mkdirSync(join(root, 'pkg', 'dist'), { recursive: true });
+    writeFileSync(join(root, '.gitignore'), '*.log\n!important.log\nbuild/\nvendor/\n!vendor/keep.js\n');
+    writeFileSync(join(root, 'pkg', '.gitignore'), 'dist\n!*.log\n');
+    writeFileSync(join(root, '.geminiignore'), 'secrets/\n');
+  });
+
+  after(() => {
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  test('最后匹配的规则生效', () => {
+    const matcher = new IgnoreMatcher(root);
+    assert.ok(matcher.ignores('debug.log'));
+    assert.ok(!matcher.ignores('important.log'));
+    assert.ok(!matcher.ignores('src/index.js'));
+  });
+
+  test('仅匹配目录的规则不匹配同名文件', () => {
+    const matcher = new IgnoreMatcher(root);
+    assert.ok(matcher.ignores('build', { isDirectory: true }));
+    assert.ok(matcher.ignores('build/out.js'));
+    assert.ok(!matcher.ignores('build'));
+  });
+
+  test('父目录被忽略时，其中的文件不能被取反规则重新包含', () => {
+    assert.ok(new IgnoreMatcher(root).ignores('vendor/keep.js'));
+  });
+
+  test('子目录的忽略文件只作用于该目录，并且优先于上级目录', () => {
+    const matcher = new IgnoreMatcher(root);
+    assert.ok(matcher.ignores('pkg/dist/a.js'));
+    assert.ok(!matcher.ignores('dist/a.js'));
+    assert.ok(!matcher.ignores('pkg/debug.log'));
+    assert.ok(matcher.ignores('other/debug.log'));
+  });
+
+  test('读取多个忽略文件，可以按来源过滤，内置规则优先级最低', () => {
+    const matcher = new IgnoreMatcher(root, {
+      fileNames: ['.gitignore', '.geminiignore'],
+      defaultPatterns: ['node_modules/', 'debug.log']
+    });
+
+    assert.ok(matcher.ignores('secrets/key.pem'));
+    assert.ok(!matcher.ignores('secrets/key.pem', { sources: ['.gitignore'] }));
+    assert.ok(matcher.ignores('node_modules/x/index.js'));
+    assert.ok(!matcher.ignores('pkg/debug.log'));
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseToml } from '../../src/utils/toml.js';
+
+describe('parseToml', () => {
+  test('解析顶层键值、注释和各类标量', () => {
+    const result = parseToml([
+      '# 注释',
+      'description = "Draft a plan"  # 行尾注释',
+      "literal = 'C:\\path\\{{args}}'",
+      'enabled = true',
+      'count = 1_000',
+      'ratio = -1.5e2',
+      '"quoted key" = "x"'
+    ].join('\n'));
+
+    assert.deepEqual(result, {
+      description: 'Draft a plan',
+      literal: 'C:\\path\\{{args}}',
+      enabled: true,
+      count: 1000,
+      ratio: -150,
+      'quoted key': 'x'
+    });
+  });
+
+  test('处理基本字符串中的转义', () => {
+    assert.deepEqual(parseToml('s = "a\\tb\\n\\"c\\" \\u00e9 \\U0001F600"'), { s: 'a\tb\n"c" é 😀' });
+  });
+
+  test('多行字符串去掉开头换行，并支持行尾反斜杠续行', () => {
+    const result = parseToml([
+      'prompt = """',
+      'Line one',
+      'joined \\',
+      '    here',
+      '!{git diff}"""',
+      "raw = '''",
+      "no \\escape ''here'''''"
+    ].join('\n'));
+
+    assert.equal(result.prompt, 'Line one\njoined here\n!{git diff}');
+    assert.equal(result.raw, "no \\escape ''here''");
+  });
+
+  test('支持 CRLF 换行', () => {
+    assert.deepEqual(parseToml('a = "1"\r\nb = [1, 2]\r\n'), { a: '1', b: [1, 2] });
+  });
+
+  test('解析跨行数组和结尾逗号', () => {
+    assert.deepEqual(parseToml('tags = [\n  "a", # 注释\n  \'b\',\n  [true],\n]'), { tags: ['a', 'b', [true]] });
+  });
+
+  test('拒绝不支持的语法和无效内容', () => {
+    const cases = [
+      ['[table]\na = 1', /不支持表/],
+      ['a.b = 1', /不支持点分隔的键/],
+      ['a = 1\na = 2', /第 2 行.*重复的键: a/],
+      ['a = "unterminated', /字符串没有结束/],
+      ["a = 'line\nbreak'", /字符串没有结束/],
+      ['a = """never closed', /多行字符串没有结束/],
+      ['a = "\\x"', /无效的转义字符/],
+      ['a = "\\u12"', /无效的 Unicode 转义/],
+      ['a = 1 2', /值之后有多余的内容/],
+      ['a = [1 2]', /数组元素之间缺少逗号/],
+      ['a = nope', /无法解析的值/],
+      ['a "x"', /缺少 "="/]
+    ];
+
+    for (const [text, message] of cases) {
+      assert.throws(() => parseToml(text), message, text);
+    }
+  });
+});